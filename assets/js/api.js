@@ -1,113 +1,937 @@
 /**
  * api.js - Centralized Fetch Wrapper
  * Handles all API calls to the backend with proper error handling and response parsing
+ *
+ * The API environment is resolved once per page load, highest priority first:
+ *   1. ?api= query override (development hosts only) - 'production', 'local',
+ *      'fixtures' or a full base URL; remembered for the session, 'reset' clears it
+ *   2. window.PORTFOLIO_CONFIG = { apiBaseUrl, fixtures } set before this script
+ *   3. <meta name="api-base-url" content="...">
+ *   4. The production Render API
  */
 
-const API_BASE_URL = 'https://api-shashankpandey-xyz.onrender.com/v1';
+const PRODUCTION_API_URL = 'https://api-shashankpandey-xyz.onrender.com/v1';
+
+// scripts/mock-api-server.js default address
+const LOCAL_API_URL = 'http://127.0.0.1:4010/v1';
+
+const API_OVERRIDE_KEY = 'portfolio_api_override';
+
+/**
+ * Check whether the page is served from a development host
+ * @returns {boolean}
+ */
+function isDevelopmentHost() {
+  const { hostname, protocol } = window.location;
+  return protocol === 'file:' ||
+    hostname === 'localhost' ||
+    hostname === '127.0.0.1' ||
+    hostname.endsWith('.local');
+}
+
+/**
+ * Read the ?api= override, remembering it for the rest of the session
+ * @returns {string|null} - Override value or null
+ */
+function getAPIOverride() {
+  if (!isDevelopmentHost()) return null;
+  
+  const params = getPageURL().searchParams;
+  const override = params.get('api');
+  
+  try {
+    if (override === 'reset') {
+      sessionStorage.removeItem(API_OVERRIDE_KEY);
+      return null;
+    }
+    if (override) {
+      sessionStorage.setItem(API_OVERRIDE_KEY, override);
+      return override;
+    }
+    return sessionStorage.getItem(API_OVERRIDE_KEY);
+  } catch {
+    return override;
+  }
+}
+
+/**
+ * Build fixture options from config and development query parameters
+ * Query parameters: ?latency=<ms>&error=<status>&errorRate=<0..1>
+ * @param {object|boolean} configured - window.PORTFOLIO_CONFIG.fixtures
+ * @returns {object} - { dir, latency, errorRate, errorStatus, errors }
+ */
+function getFixtureOptions(configured) {
+  const options = {
+    dir: sitePath('fixtures'),
+    latency: 0,         // Simulated response delay in ms
+    errorRate: 0,       // Probability (0..1) that a request fails
+    errorStatus: 503,   // Status used for simulated failures
+    errors: {},         // Endpoint -> status, always failing (e.g. { '/projects': 500 })
+    ...(typeof configured === 'object' ? configured : {}),
+  };
+  
+  if (isDevelopmentHost()) {
+    const params = getPageURL().searchParams;
+    if (params.has('latency')) options.latency = Number(params.get('latency')) || 0;
+    if (params.has('errorRate')) options.errorRate = Number(params.get('errorRate')) || 0;
+    if (params.has('error')) {
+      options.errorStatus = Number(params.get('error')) || options.errorStatus;
+      options.errorRate = 1;
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Resolve the API environment for this page load
+ * @returns {object} - { baseUrl, fixtures, cacheScope }
+ */
+function resolveAPIConfig() {
+  if (typeof window === 'undefined') {
+    return { baseUrl: PRODUCTION_API_URL, fixtures: null, cacheScope: '' };
+  }
+  
+  const config = window.PORTFOLIO_CONFIG || {};
+  const meta = document.querySelector('meta[name="api-base-url"]')?.content;
+  const override = getAPIOverride();
+  
+  let baseUrl = config.apiBaseUrl || meta || PRODUCTION_API_URL;
+  let useFixtures = Boolean(config.fixtures);
+  
+  if (override === 'fixtures') {
+    useFixtures = true;
+  } else if (override === 'local') {
+    baseUrl = LOCAL_API_URL;
+    useFixtures = false;
+  } else if (override === 'production') {
+    baseUrl = PRODUCTION_API_URL;
+    useFixtures = false;
+  } else if (override) {
+    baseUrl = override;
+    useFixtures = false;
+  }
+  
+  baseUrl = baseUrl.replace(/\/$/, '');
+  
+  // Keep cached data from different environments apart
+  let cacheScope = '';
+  if (useFixtures) {
+    cacheScope = 'fixtures_';
+  } else if (baseUrl !== PRODUCTION_API_URL) {
+    cacheScope = `${baseUrl}_`;
+  }
+  
+  return {
+    baseUrl,
+    fixtures: useFixtures ? getFixtureOptions(config.fixtures) : null,
+    cacheScope,
+  };
+}
+
+const API_CONFIG = resolveAPIConfig();
+const API_BASE_URL = API_CONFIG.baseUrl;
+
+if (API_CONFIG.fixtures) {
+  console.info('API fixture mode:', API_CONFIG.fixtures);
+} else if (API_BASE_URL !== PRODUCTION_API_URL) {
+  console.info('API base URL:', API_BASE_URL);
+}
+
+// Default per-attempt timeout in ms
+const API_TIMEOUT = 15000;
+
+// Upper bound for server-requested Retry-After delays in ms
+const MAX_RETRY_AFTER = 60000;
+
+// Default max age of the opt-in memory layer in ms
+const MEMORY_TTL = 5 * 60 * 1000;
+
+// API snapshots written at deploy time (see scripts/snapshot.js) used when the live API fails
+const SNAPSHOT_BASE_URL = sitePath('data/snapshots');
+
+// Cold-start handling: the Render free tier sleeps when idle and can take
+// 30+ seconds to wake. Give up on waking after WAKE_TIMEOUT.
+// The API has no dedicated health route, so the ping requests the smallest
+// endpoint the pages already rely on.
+const WAKE_PING_PATH = '/projects/featured';
+const WAKE_TIMEOUT = 90000;
+const WAKE_PING_TIMEOUT = 10000;
+const WAKE_PING_INTERVAL = 2000;
+
+/**
+ * Error categories reported on failed results so the UI can react to each
+ */
+const ERROR_CATEGORY = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  CLIENT: 'client',
+  SERVER: 'server',
+  ABORTED: 'aborted',
+};
 
 /**
  * Sleep utility for retry delays
+ * Resolves early if the given signal is aborted
  * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} signal - Optional signal that cancels the wait
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Create an error carrying the HTTP status and error category
+ * @param {string} message - Error message
+ * @param {string} category - One of ERROR_CATEGORY
+ * @param {number|null} status - HTTP status code, if any
+ * @param {number|null} retryAfter - Server-requested retry delay in ms, if any
+ * @returns {Error}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function createAPIError(message, category, status = null, retryAfter = null) {
+  const error = new Error(message);
+  error.category = category;
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
 }
 
 /**
- * Generic fetch wrapper with error handling and retry logic
+ * Create the error for a request cancelled through the caller's signal
+ * A caller aborting with a TimeoutError (e.g. AbortSignal.timeout or giving
+ * up on a cold start) counts as a timeout rather than a deliberate cancel
+ * @param {AbortSignal} signal - Caller's signal
+ * @returns {Error}
+ */
+function createAbortError(signal) {
+  if (signal?.reason?.name === 'TimeoutError') {
+    return createAPIError(signal.reason.message || 'Request timed out', ERROR_CATEGORY.TIMEOUT);
+  }
+  return createAPIError('Request aborted', ERROR_CATEGORY.ABORTED);
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @param {string|null} header - Header value
+ * @returns {number|null} - Delay in ms, or null if absent/invalid
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.min(Math.max(seconds, 0) * 1000, MAX_RETRY_AFTER);
+  }
+  
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.min(Math.max(date - Date.now(), 0), MAX_RETRY_AFTER);
+  }
+  
+  return null;
+}
+
+/**
+ * Decide whether a failed attempt is worth retrying
+ * Client errors are final, except request timeouts and rate limiting
+ * @param {Error} error - Error from an attempt
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.category === ERROR_CATEGORY.ABORTED) return false;
+  if (error.category === ERROR_CATEGORY.CLIENT) {
+    return error.status === 408 || error.status === 429;
+  }
+  return true;
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} retryDelay - Initial delay in ms
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} - Delay in ms
+ */
+function getBackoffDelay(retryDelay, attempt) {
+  const base = retryDelay * Math.pow(1.5, attempt);
+  // Equal jitter: keep half the delay, randomize the other half
+  return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+/**
+ * Map an API endpoint to its fixture file
+ * Mirrors the layout served by scripts/mock-api-server.js
+ * @param {string} endpoint - API endpoint (e.g. '/blogs/my-post')
+ * @returns {string|null} - Fixture path relative to the fixture dir
+ */
+function getFixturePath(endpoint) {
+  const path = endpoint.split('?')[0].replace(/\/$/, '');
+  
+  if (path === '/blogs') return 'blogs.json';
+  if (path === '/projects') return 'projects.json';
+  if (path === '/projects/featured') return 'projects-featured.json';
+  
+  const blogMatch = path.match(/^\/blogs\/([^/]+)$/);
+  if (blogMatch) return `blogs/${blogMatch[1]}.json`;
+  
+  const projectMatch = path.match(/^\/projects\/([^/]+)$/);
+  if (projectMatch) return `projects/${projectMatch[1]}.json`;
+  
+  return null;
+}
+
+/**
+ * fetch() stand-in for fixture mode
+ * Serves endpoints from local JSON files, with simulated latency and errors
+ * @param {string} endpoint - API endpoint
+ * @param {object} init - Fetch init (only signal is honored)
+ * @returns {Promise<Response>}
+ */
+async function fetchFixture(endpoint, init = {}) {
+  const { dir, latency, errorRate, errorStatus, errors } = API_CONFIG.fixtures;
+  const path = endpoint.split('?')[0];
+  
+  if (latency > 0) {
+    await sleep(latency, init.signal);
+  }
+  if (init.signal?.aborted) {
+    throw new DOMException('The operation was aborted.', 'AbortError');
+  }
+  
+  const status = errors[path] || (Math.random() < errorRate ? errorStatus : null);
+  if (status) {
+    return new Response(JSON.stringify({ success: false, message: 'Simulated fixture error' }), {
+      status,
+      statusText: 'Simulated Error',
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+  
+  const file = getFixturePath(endpoint);
+  if (!file) {
+    return new Response('{}', { status: 404, statusText: 'No Fixture' });
+  }
+  return fetch(`${dir}/${file}`, { signal: init.signal });
+}
+
+/**
+ * Single request with timeout, cancellation and retry logic
+ * Use fetchAPI, which adds request deduplication and the memory layer
  * @param {string} endpoint - API endpoint (e.g., '/blogs', '/projects')
- * @param {object} options - Fetch options (method, headers, body, etc.)
+ * @param {object} options - Fetch options (method, headers, body, etc.), plus:
+ *   - timeout {number} - Per-attempt timeout in ms (default: API_TIMEOUT)
+ *   - signal {AbortSignal} - External signal that cancels the request
  * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
  * @param {number} retryDelay - Initial delay between retries in ms (default: 1000)
- * @returns {Promise<object>} - Parsed JSON response
+ * @returns {Promise<object>} - { success, data, status } or { success, error, status, category }
  */
-async function fetchAPI(endpoint, options = {}, maxRetries = 3, retryDelay = 1000) {
+async function requestAPI(endpoint, options = {}, maxRetries = 3, retryDelay = 1000) {
   const url = `${API_BASE_URL}${endpoint}`;
+  const { timeout = API_TIMEOUT, signal, ...fetchOptions } = options;
   
   const defaultOptions = {
     method: 'GET',
     headers: {
       'Content-Type': 'application/json',
     },
-    ...options,
+    ...fetchOptions,
   };
 
   let lastError = null;
   
   // Try fetching with retries
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (signal?.aborted) {
+      lastError = createAbortError(signal);
+      break;
+    }
+    
+    // Each attempt gets its own controller so a timeout only cancels that attempt
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort();
+    signal?.addEventListener('abort', abortFromCaller, { once: true });
+    
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    
     try {
-      const response = await fetch(url, defaultOptions);
+      let response;
+      try {
+        const init = { ...defaultOptions, signal: controller.signal };
+        response = API_CONFIG.fixtures
+          ? await fetchFixture(endpoint, init)
+          : await fetch(url, init);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          throw createAPIError(error.message, ERROR_CATEGORY.NETWORK);
+        }
+        throw timedOut
+          ? createAPIError(`Request timed out after ${timeout}ms`, ERROR_CATEGORY.TIMEOUT)
+          : createAbortError(signal);
+      }
       
       // Check if response is ok (status 200-299)
       if (!response.ok) {
-        throw new Error(`HTTP Error: ${response.status} ${response.statusText}`);
+        const category = response.status >= 500 ? ERROR_CATEGORY.SERVER : ERROR_CATEGORY.CLIENT;
+        const retryAfter = response.status === 429 || response.status === 503
+          ? parseRetryAfter(response.headers.get('Retry-After'))
+          : null;
+        throw createAPIError(
+          `HTTP Error: ${response.status} ${response.statusText}`,
+          category,
+          response.status,
+          retryAfter
+        );
       }
       
       // Parse JSON response
-      const data = await response.json();
-      return { success: true, data };
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        throw timedOut
+          ? createAPIError(`Request timed out after ${timeout}ms`, ERROR_CATEGORY.TIMEOUT, response.status)
+          : createAPIError(`Invalid JSON response: ${error.message}`, ERROR_CATEGORY.SERVER, response.status);
+      }
+      
+      // The service worker marks responses it served from its offline cache
+      const offline = response.headers.get('X-SW-Cache') === 'fallback';
+      if (!offline) {
+        setWakeStatus(WAKE_STATUS.READY);
+      }
+      return { success: true, data, status: response.status, offline };
       
     } catch (error) {
       lastError = error;
       console.warn(`API Fetch Attempt ${attempt + 1}/${maxRetries + 1} failed:`, error.message);
       
+      if (!isRetryable(error)) {
+        break;
+      }
+      
       // If not the last attempt, wait before retrying
       if (attempt < maxRetries) {
-        const delay = retryDelay * Math.pow(1.5, attempt); // Exponential backoff
+        const delay = error.retryAfter ?? getBackoffDelay(retryDelay, attempt);
         console.log(`Retrying in ${delay}ms...`);
-        await sleep(delay);
+        await sleep(delay, signal);
       }
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abortFromCaller);
     }
   }
   
-  // All retries failed
-  console.error('API Fetch Error - All retries exhausted:', lastError);
+  if (lastError?.category === ERROR_CATEGORY.ABORTED) {
+    return { success: false, error: lastError.message, status: null, category: ERROR_CATEGORY.ABORTED };
+  }
+  
+  // Retries exhausted or error not retryable
+  console.error('API Fetch Error:', lastError);
   return { 
     success: false, 
-    error: lastError?.message || 'Failed to fetch data from API' 
+    error: lastError?.message || 'Failed to fetch data from API',
+    status: lastError?.status ?? null,
+    category: lastError?.category || ERROR_CATEGORY.NETWORK,
+  };
+}
+
+// Identical GETs currently in flight, keyed by URL
+const inFlightRequests = new Map();
+
+// Successful GET results kept for the page session, keyed by URL
+const memoryCache = new Map();
+
+/**
+ * Share one in-flight request between concurrent callers
+ * Each caller can still cancel through its own signal; the shared request is
+ * only aborted once every caller that could cancel has done so and no caller
+ * without a signal is waiting on it
+ * @param {string} key - Request identity (URL)
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @param {Function} run - Starts the request, given the shared signal
+ * @returns {Promise<object>} - fetchAPI result
+ */
+function joinInFlightRequest(key, signal, run) {
+  let entry = inFlightRequests.get(key);
+  
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, waiting: 0, pinned: false, promise: null };
+    entry.promise = run(controller.signal).finally(() => {
+      if (inFlightRequests.get(key) === entry) {
+        inFlightRequests.delete(key);
+      }
+    });
+    inFlightRequests.set(key, entry);
+  }
+  
+  if (!signal) {
+    entry.pinned = true;
+    return entry.promise;
+  }
+  
+  const shared = entry;
+  shared.waiting++;
+  
+  return new Promise(resolve => {
+    const onAbort = () => {
+      shared.waiting--;
+      if (shared.waiting === 0 && !shared.pinned) {
+        shared.controller.abort(signal.reason);
+        // Let the next caller start a fresh request instead of joining a cancelled one
+        if (inFlightRequests.get(key) === shared) {
+          inFlightRequests.delete(key);
+        }
+      }
+      const error = createAbortError(signal);
+      resolve({ success: false, error: error.message, status: null, category: error.category });
+    };
+    
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+    shared.promise.then(result => {
+      signal.removeEventListener('abort', onAbort);
+      if (!signal.aborted) {
+        shared.waiting--;
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Read a successful result from the memory layer
+ * @param {string} key - Request identity (URL)
+ * @param {number} maxAge - Oldest acceptable entry in ms
+ * @returns {object|null} - Cached result or null
+ */
+function readMemoryCache(key, maxAge) {
+  const entry = memoryCache.get(key);
+  if (!entry || Date.now() - entry.storedAt > maxAge) {
+    return null;
+  }
+  return entry.result;
+}
+
+/**
+ * Clear the in-memory result layer
+ */
+function clearMemoryCache() {
+  memoryCache.clear();
+}
+
+/**
+ * Fetch wrapper with request deduplication and an opt-in memory layer
+ * Concurrent identical GETs share one network request. Every successful live
+ * GET is remembered for the page session; callers opt in to reusing it with
+ * the memory option, so switching views does not refetch data already held.
+ * @param {string} endpoint - API endpoint (e.g., '/blogs', '/projects')
+ * @param {object} options - Options for requestAPI, plus:
+ *   - memory {boolean|number} - Serve from memory if fresher than MEMORY_TTL
+ *     (true) or than the given age in ms
+ * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
+ * @param {number} retryDelay - Initial delay between retries in ms (default: 1000)
+ * @returns {Promise<object>} - Same result shape as requestAPI
+ */
+async function fetchAPI(endpoint, options = {}, maxRetries = 3, retryDelay = 1000) {
+  const { memory = false, signal, ...requestOptions } = options;
+  const method = (requestOptions.method || 'GET').toUpperCase();
+  
+  // Only plain GETs are safe to share or reuse
+  if (method !== 'GET' || requestOptions.body) {
+    return requestAPI(endpoint, { ...requestOptions, signal }, maxRetries, retryDelay);
+  }
+  
+  const key = `${API_BASE_URL}${endpoint}`;
+  
+  if (memory) {
+    const remembered = readMemoryCache(key, memory === true ? MEMORY_TTL : memory);
+    if (remembered) {
+      return remembered;
+    }
+  }
+  
+  const result = await joinInFlightRequest(key, signal, sharedSignal =>
+    requestAPI(endpoint, { ...requestOptions, signal: sharedSignal }, maxRetries, retryDelay)
+  );
+  
+  if (result.success && !result.offline) {
+    memoryCache.set(key, { result, storedAt: Date.now() });
+  }
+  return result;
+}
+
+/**
+ * Backend wake-up states
+ */
+const WAKE_STATUS = {
+  IDLE: 'idle',
+  WAKING: 'waking',
+  READY: 'ready',
+  FAILED: 'failed',
+};
+
+const wakeState = {
+  status: WAKE_STATUS.IDLE,
+  startedAt: null,
+  finishedAt: null,
+};
+
+const wakeListeners = new Set();
+let wakeTicker = null;
+
+/**
+ * Get a snapshot of the backend wake-up progress
+ * @returns {object} - { status, elapsed } with elapsed time in ms
+ */
+function getWakeState() {
+  const end = wakeState.finishedAt || Date.now();
+  return {
+    status: wakeState.status,
+    elapsed: wakeState.startedAt ? end - wakeState.startedAt : 0,
   };
 }
 
 /**
- * Fetch all blogs
- * GET /v1/blogs
+ * Subscribe to wake-up progress
+ * Listeners are called immediately, then every second while waking
+ * and once more when the backend is ready or waking failed
+ * @param {Function} listener - Called with getWakeState()
+ * @returns {Function} - Unsubscribe function
+ */
+function onWakeProgress(listener) {
+  wakeListeners.add(listener);
+  listener(getWakeState());
+  return () => wakeListeners.delete(listener);
+}
+
+/**
+ * Update the wake status and notify listeners
+ * @param {string} status - One of WAKE_STATUS
+ */
+function setWakeStatus(status) {
+  if (wakeState.status === status) return;
+  
+  wakeState.status = status;
+  if (status === WAKE_STATUS.WAKING) {
+    wakeState.startedAt = Date.now();
+    wakeState.finishedAt = null;
+    wakeTicker = setInterval(() => emitWakeProgress(), 1000);
+  } else if (status === WAKE_STATUS.READY || status === WAKE_STATUS.FAILED) {
+    wakeState.finishedAt = Date.now();
+    clearInterval(wakeTicker);
+  }
+  
+  emitWakeProgress();
+}
+
+/**
+ * Notify wake listeners of the current state
  */
-async function fetchBlogs() {
-  return await fetchAPI('/blogs');
+function emitWakeProgress() {
+  const state = getWakeState();
+  wakeListeners.forEach(listener => {
+    try {
+      listener(state);
+    } catch (error) {
+      console.warn('Wake listener error:', error);
+    }
+  });
+}
+
+/**
+ * Fire a lightweight ping so the backend starts waking before any loader needs it
+ * Any HTTP response means the server is up; pings repeat until it answers
+ * or WAKE_TIMEOUT passes, which ends in the FAILED state
+ */
+async function warmUpAPI() {
+  if (wakeState.status !== WAKE_STATUS.IDLE) return;
+  
+  // Fixtures have no server to wake
+  if (API_CONFIG.fixtures) {
+    setWakeStatus(WAKE_STATUS.READY);
+    return;
+  }
+  
+  setWakeStatus(WAKE_STATUS.WAKING);
+  
+  while (wakeState.status === WAKE_STATUS.WAKING) {
+    try {
+      // no-cors keeps the ping a simple request without a CORS preflight
+      await fetch(`${API_BASE_URL}${WAKE_PING_PATH}`, {
+        mode: 'no-cors',
+        cache: 'no-store',
+        signal: AbortSignal.timeout(WAKE_PING_TIMEOUT),
+      });
+      setWakeStatus(WAKE_STATUS.READY);
+      return;
+    } catch (error) {
+      if (getWakeState().elapsed >= WAKE_TIMEOUT) {
+        console.error('API warm-up failed - backend did not respond in time');
+        setWakeStatus(WAKE_STATUS.FAILED);
+        return;
+      }
+      await sleep(WAKE_PING_INTERVAL);
+    }
+  }
+}
+
+/**
+ * Fall back to a bundled snapshot when a live request failed
+ * Only network, timeout and server failures fall back - a 404 or a
+ * deliberate cancel is passed through unchanged
+ * @param {object} result - Result from fetchAPI
+ * @param {string} snapshotPath - Snapshot file relative to SNAPSHOT_BASE_URL
+ * @returns {Promise<object>} - Original result, or a success result marked { snapshot: true }
+ */
+async function withSnapshotFallback(result, snapshotPath) {
+  if (result.success ||
+      result.category === ERROR_CATEGORY.CLIENT ||
+      result.category === ERROR_CATEGORY.ABORTED) {
+    return result;
+  }
+  
+  try {
+    const response = await fetch(`${SNAPSHOT_BASE_URL}/${snapshotPath}`);
+    if (!response.ok) return result;
+    
+    const snapshot = await response.json();
+    console.warn(`Live API unavailable - serving snapshot from ${snapshot.generatedAt}: ${snapshotPath}`);
+    return {
+      success: true,
+      data: snapshot.payload,
+      status: null,
+      snapshot: true,
+      snapshotAt: snapshot.generatedAt,
+    };
+  } catch (error) {
+    console.warn('Snapshot fallback failed:', error);
+    return result;
+  }
+}
+
+/**
+ * Build a query string from defined, non-empty parameters
+ * @param {object} params - Query parameters
+ * @returns {string} - '?a=1&b=2' or ''
+ */
+function buildQueryString(params) {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      search.set(key, value);
+    }
+  });
+  const query = search.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Apply blog list parameters to a full, unpaginated payload
+ * Used for fixtures and snapshots, which hold every post in one file
+ * @param {object} payload - Raw GET /blogs payload
+ * @param {object} params - { page, limit, tag, q, sort }
+ * @returns {object} - Payload with the matching page and pagination meta
+ */
+function applyBlogQuery(payload, { page, limit, tag, q, sort }) {
+  const records = payload?.data || payload;
+  if (!Array.isArray(records)) return payload;
+  
+  const dateOf = blog => new Date(blog.publishedAt || blog.createdAt || blog.date || 0).getTime();
+  const tagsOf = blog => (Array.isArray(blog.tags) ? blog.tags : String(blog.tags || '').split(','))
+    .map(t => String(t).trim().toLowerCase());
+  const needle = q ? q.toLowerCase() : '';
+  
+  let items = records.filter(blog =>
+    (!tag || tagsOf(blog).includes(tag.toLowerCase())) &&
+    (!needle || `${blog.title || ''} ${blog.summary || ''}`.toLowerCase().includes(needle))
+  );
+  
+  if (sort === 'oldest') {
+    items.sort((a, b) => dateOf(a) - dateOf(b));
+  } else if (sort === 'title') {
+    items.sort((a, b) => String(a.title).localeCompare(String(b.title)));
+  } else if (sort === 'newest') {
+    items.sort((a, b) => dateOf(b) - dateOf(a));
+  }
+  
+  const total = items.length;
+  if (page && limit) {
+    items = items.slice((page - 1) * limit, page * limit);
+  }
+  
+  return {
+    ...(Array.isArray(payload) ? {} : payload),
+    data: items,
+    pagination: {
+      page: page || 1,
+      limit: limit || total,
+      total,
+      totalPages: limit ? Math.max(1, Math.ceil(total / limit)) : 1,
+    },
+  };
+}
+
+/**
+ * Fetch blogs, optionally paginated and filtered
+ * GET /v1/blogs?page=&limit=&tag=&q=&sort=
+ * @param {object} options - List parameters and request options:
+ *   - page {number} - 1-based page number
+ *   - limit {number} - Posts per page
+ *   - tag {string} - Only posts with this tag
+ *   - q {string} - Text search
+ *   - sort {string} - 'newest', 'oldest' or 'title'
+ *   - plus request options (signal, timeout, memory)
+ */
+async function fetchBlogs(options = {}) {
+  const { page, limit, tag, q, sort, ...requestOptions } = options;
+  const params = { page, limit, tag, q, sort };
+  const query = buildQueryString(params);
+  
+  const result = await withSnapshotFallback(
+    await fetchAPI(`/blogs${query}`, requestOptions),
+    'blogs.json'
+  );
+  
+  // Fixtures and snapshots are unpaginated, so filter and page them here
+  if (query && result.success && (API_CONFIG.fixtures || result.snapshot)) {
+    return { ...result, data: applyBlogQuery(result.data, params) };
+  }
+  return result;
 }
 
 /**
  * Fetch single blog by slug
  * GET /v1/blogs/:slug
  * @param {string} slug - Blog slug
+ * @param {object} options - Request options (signal, timeout, memory)
  */
-async function fetchBlogBySlug(slug) {
-  return await fetchAPI(`/blogs/${slug}`);
+async function fetchBlogBySlug(slug, options = {}) {
+  const result = await fetchAPI(`/blogs/${encodeURIComponent(slug)}`, options);
+  
+  // Snapshot file names are slugs, so only safe slugs can have one
+  return /^[\w-]+$/.test(slug)
+    ? withSnapshotFallback(result, `blogs/${slug}.json`)
+    : result;
 }
 
 /**
  * Fetch all projects
  * GET /v1/projects
+ * @param {object} options - Request options (signal, timeout, memory)
  */
-async function fetchProjects() {
-  return await fetchAPI('/projects');
+async function fetchProjects(options = {}) {
+  return withSnapshotFallback(await fetchAPI('/projects', options), 'projects.json');
+}
+
+/**
+ * Fetch single project by slug
+ * GET /v1/projects/:slug
+ * @param {string} slug - Project slug
+ * @param {object} options - Request options (signal, timeout, memory)
+ */
+async function fetchProjectBySlug(slug, options = {}) {
+  const result = await fetchAPI(`/projects/${encodeURIComponent(slug)}`, options);
+  
+  // Snapshot file names are slugs, so only safe slugs can have one
+  return /^[\w-]+$/.test(slug)
+    ? withSnapshotFallback(result, `projects/${slug}.json`)
+    : result;
 }
 
 /**
  * Fetch featured projects only
  * GET /v1/projects/featured
+ * @param {object} options - Request options (signal, timeout, memory)
  */
-async function fetchFeaturedProjects() {
-  return await fetchAPI('/projects/featured');
+async function fetchFeaturedProjects(options = {}) {
+  return withSnapshotFallback(await fetchAPI('/projects/featured', options), 'projects-featured.json');
+}
+
+/**
+ * Fetch a file scripts/snapshot.js derives from the full posts
+ * @param {string} snapshotPath - Snapshot file relative to SNAPSHOT_BASE_URL
+ * @param {object} options - Request options (signal)
+ * @returns {Promise<object>} - { success, data, status } or { success, error, status, category }
+ */
+async function fetchSnapshotData(snapshotPath, options = {}) {
+  try {
+    const response = await fetch(`${SNAPSHOT_BASE_URL}/${snapshotPath}`, { signal: options.signal });
+    if (!response.ok) {
+      return {
+        success: false,
+        error: `HTTP Error: ${response.status} ${response.statusText}`,
+        status: response.status,
+        category: response.status >= 500 ? ERROR_CATEGORY.SERVER : ERROR_CATEGORY.CLIENT,
+      };
+    }
+    
+    const snapshot = await response.json();
+    return { success: true, data: snapshot.payload || {}, status: response.status };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      status: null,
+      category: error.name === 'AbortError' ? ERROR_CATEGORY.ABORTED : ERROR_CATEGORY.NETWORK,
+    };
+  }
+}
+
+/**
+ * Fetch every post's reading time (slug -> minutes)
+ * List payloads have no content to estimate from, so scripts/snapshot.js
+ * works the times out from the full posts and writes them with the snapshots
+ * @param {object} options - Request options (signal)
+ */
+async function fetchReadingTimes(options = {}) {
+  return fetchSnapshotData('reading-times.json', options);
+}
+
+/**
+ * Fetch every post's content as plain text (slug -> text), for search
+ * Written by scripts/snapshot.js, since list payloads carry no content
+ * @param {object} options - Request options (signal)
+ */
+async function fetchSearchText(options = {}) {
+  return fetchSnapshotData('search-text.json', options);
+}
+
+// Start waking the backend as soon as the page loads this script
+if (typeof window !== 'undefined') {
+  warmUpAPI();
 }
 
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    API_CONFIG,
+    ERROR_CATEGORY,
+    WAKE_STATUS,
+    getWakeState,
+    onWakeProgress,
+    warmUpAPI,
+    fetchAPI,
+    clearMemoryCache,
+    buildQueryString,
     fetchBlogs,
     fetchBlogBySlug,
     fetchProjects,
+    fetchProjectBySlug,
     fetchFeaturedProjects,
+    fetchReadingTimes,
+    fetchSearchText,
   };
 }
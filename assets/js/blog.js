@@ -1,8 +1,21 @@
 /**
  * blog.js - Single Blog Post Rendering
- * Fetches and renders a single blog post based on slug from URL query string
+ * Fetches and renders the blog post named by the URL (see router.js),
+ * or hydrates a post prerendered by scripts/prerender.js
  */
 
+// Posts with fewer headings than this get no table of contents
+const TOC_MIN_HEADINGS = 2;
+
+// Related posts shown under each post
+const RELATED_POSTS_LIMIT = 3;
+
+// Every post, for previous/next, series and related links
+let blogIndex = [];
+
+// Scrollspy observer for the current post
+let tocObserver = null;
+
 /**
  * Escape HTML to prevent XSS
  */
@@ -35,32 +48,27 @@ function formatDate(dateStr) {
 }
 
 /**
- * Get query parameter from URL
- */
-function getQueryParam(param) {
-  const urlParams = new URLSearchParams(window.location.search);
-  return urlParams.get(param);
-}
-
-/**
- * Render single blog post
- * @param {object} blog - Blog object from API
- * @param {HTMLElement} container - Container element
+ * Build the markup for a single blog post
+ * Kept free of DOM access so scripts/prerender.js can reuse it
+ * @param {Blog} blog - Normalized blog (see models.js)
+ * @param {Blog[]} blogs - All posts, for series and previous/next links
+ * @returns {string} - HTML
  */
-function renderBlogPost(blog, container) {
-  if (!container) return;
-  
+function renderBlogPostHTML(blog, blogs = []) {
   // Format the date
-  const formattedDate = formatDate(blog.createdAt || blog.publishedAt);
-  const content = blog.content || blog.description || '';
-  // Parse markdown to HTML
-  const htmlContent = marked.parse(content);
+  const formattedDate = formatDate(blog.publishedAt);
+  const readingTime = formatReadingTime(blog.readingMinutes);
+  const content = blog.content;
+  // Parse markdown to sanitized HTML, with linkable h2/h3 headings
+  const { html: htmlContent, headings } = addHeadingAnchors(renderMarkdown(content));
+  const showToc = headings.length >= TOC_MIN_HEADINGS;
   
-  container.innerHTML = `
-    <article class="max-w-4xl mx-auto">
+  return `
+    <div class="${showToc ? 'lg:flex lg:gap-12' : ''}">
+    <article class="max-w-4xl mx-auto ${showToc ? 'lg:mx-0 flex-1 min-w-0' : ''}">
       <!-- Back Button -->
       <div class="mb-8">
-        <a href="blogs.html" 
+        <a href="${sitePath('blog/')}" 
            class="inline-flex items-center text-gray-600 hover:text-gray-900 transition-colors">
           <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"/>
@@ -74,13 +82,13 @@ function renderBlogPost(blog, container) {
         <h1 class="text-4xl md:text-5xl font-bold text-gray-900 mb-4">
           ${escapeHTML(blog.title)}
         </h1>
-        ${formattedDate ? `
+        ${formattedDate || readingTime ? `
           <div class="flex items-center text-gray-600 mb-6">
             <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" 
                     d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"/>
             </svg>
-            ${formattedDate}
+            ${[formattedDate, readingTime].filter(Boolean).join(' · ')}
           </div>
         ` : ''}
         ${blog.summary ? `
@@ -90,6 +98,19 @@ function renderBlogPost(blog, container) {
         ` : ''}
       </header>
       
+      <!-- Series Navigation - refreshed once the post list loads -->
+      <div data-series-nav>${renderSeriesNavigation(blog, blogs)}</div>
+      
+      ${showToc ? `
+        <!-- Table of Contents (mobile) -->
+        <details class="toc-panel lg:hidden mb-10 border border-gray-200 rounded-xl">
+          <summary class="cursor-pointer px-4 py-3 font-semibold text-gray-900">On this page</summary>
+          <nav class="px-4 pb-4" aria-label="Table of contents">
+            ${renderTableOfContents(headings)}
+          </nav>
+        </details>
+      ` : ''}
+      
       <!-- Blog Content - Markdown rendered -->
       <div class="prose max-w-none text-gray-800">
         ${htmlContent}
@@ -97,33 +118,367 @@ function renderBlogPost(blog, container) {
       
       <!-- Share Section -->
       <div class="mt-12 pt-8 border-t border-gray-200">
-        <div class="flex justify-between items-center">
-          <a href="blogs.html" 
+        <div class="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-6">
+          <a href="${sitePath('blog/')}" 
              class="text-gray-600 hover:text-gray-900 font-medium transition-colors">
             ← Back to all blogs
           </a>
-          <div class="mt-4">
-            <button id="copy-url-button" class="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition-colors">
-              Copy Blog URL
-            </button>
-          </div>
-          <script>
-            document.getElementById('copy-url-button').addEventListener('click', function() {
-              navigator.clipboard.writeText(window.location.href).then(function() {
-                alert('Blog URL copied to clipboard!');
-              }, function(err) {
-                alert('Failed to copy URL: ' + err);
-              });
-            });
-          </script>
+          ${renderSharePanel(blog)}
         </div>
+      </div>
+      
+      <!-- Previous/Next and Related Posts - refreshed once the post list loads -->
+      <div data-post-navigation>${renderPostLinks(blog, blogs)}</div>
     </article>
+    ${showToc ? `
+      <!-- Table of Contents (desktop) -->
+      <aside class="hidden lg:block w-64 flex-shrink-0">
+        <nav class="sticky top-24" aria-label="Table of contents">
+          <p class="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-3">On this page</p>
+          ${renderTableOfContents(headings)}
+        </nav>
+      </aside>
+    ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render single blog post
+ * @param {Blog} blog - Normalized blog (see models.js)
+ * @param {HTMLElement} container - Container element
+ */
+function renderBlogPost(blog, container) {
+  if (!container) return;
+  
+  container.innerHTML = renderBlogPostHTML(blog, blogIndex);
+  hydrateBlogPost(blog, container);
+}
+
+/**
+ * Wire up the table of contents, code blocks and share panel of a post
+ * Works on markup from renderBlogPost and on prerendered markup alike
+ * @param {Blog} blog - Normalized blog (see models.js)
+ * @param {HTMLElement} container - Container holding the rendered post
+ */
+function hydrateBlogPost(blog, container) {
+  setupTableOfContents(container);
+  setupCodeBlocks(container);
+  setupSharePanel(container, blog);
+}
+
+/**
+ * Render the table of contents list
+ * @param {Array} headings - Headings from addHeadingAnchors
+ * @returns {string} - HTML list
+ */
+function renderTableOfContents(headings) {
+  const items = headings.map(heading => `
+    <li class="${heading.level === 3 ? 'pl-4' : ''}">
+      <a href="#${heading.id}" data-toc-link="${heading.id}"
+         class="toc-link block py-1 text-sm text-gray-600 hover:text-gray-900 border-l-2 border-transparent pl-3 transition-colors">
+        ${heading.text}
+      </a>
+    </li>
+  `).join('');
+  
+  return `<ul class="space-y-1">${items}</ul>`;
+}
+
+/**
+ * Highlight the section being read and close the mobile panel on navigation
+ * @param {HTMLElement} container - Container holding the rendered post
+ */
+function setupTableOfContents(container) {
+  if (tocObserver) {
+    tocObserver.disconnect();
+    tocObserver = null;
+  }
+  
+  const links = container.querySelectorAll('[data-toc-link]');
+  if (links.length === 0) return;
+  
+  const panel = container.querySelector('.toc-panel');
+  links.forEach(link => {
+    link.addEventListener('click', () => {
+      if (panel && panel.contains(link)) panel.open = false;
+    });
+  });
+  
+  if (typeof IntersectionObserver === 'undefined') return;
+  
+  const headings = Array.from(container.querySelectorAll('.prose h2[id], .prose h3[id]'));
+  const visible = new Set();
+  
+  const setActive = id => {
+    links.forEach(link => {
+      link.classList.toggle('toc-active', link.dataset.tocLink === id);
+    });
+  };
+  
+  // The active section is the first heading in the top band of the viewport,
+  // or the last one scrolled past when none is in view
+  tocObserver = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        visible.add(entry.target);
+      } else {
+        visible.delete(entry.target);
+      }
+    });
+    
+    const current = headings.find(heading => visible.has(heading)) ||
+      headings.filter(heading => heading.getBoundingClientRect().top < 0).pop();
+    if (current) setActive(current.id);
+  }, { rootMargin: '-80px 0px -60% 0px' });
+  
+  headings.forEach(heading => tocObserver.observe(heading));
+}
+
+/**
+ * Scroll to the heading named in the URL fragment
+ * The browser's own jump happens before the post is rendered, so deep links
+ * like /blog/x#setup need this once the content is in place
+ */
+function scrollToHash() {
+  let id;
+  try {
+    id = decodeURIComponent(window.location.hash.slice(1));
+  } catch {
+    return;
+  }
+  if (!id) return;
+  
+  const target = document.getElementById(id);
+  if (target) {
+    target.scrollIntoView({ block: 'start' });
+  }
+}
+
+/**
+ * Render a small link card for another post
+ * @param {Blog} blog - Normalized blog
+ * @returns {string} - HTML
+ */
+function renderPostLinkCard(blog) {
+  const meta = [formatDate(blog.publishedAt), formatReadingTime(blog.readingMinutes)].filter(Boolean).join(' · ');
+  
+  return `
+    <a href="${getPostPath(blog.slug)}" 
+       class="block p-5 border border-gray-200 rounded-xl hover:bg-gray-50 transition-colors">
+      <span class="block font-semibold text-gray-900">${escapeHTML(blog.title)}</span>
+      ${meta ? `<span class="block mt-2 text-sm text-gray-500">${meta}</span>` : ''}
+    </a>
   `;
 }
 
+/**
+ * Render the series box for a post
+ * @param {Blog} blog - Current post
+ * @param {Blog[]} blogs - All posts
+ * @returns {string} - HTML (empty outside a series)
+ */
+function renderSeriesNavigation(blog, blogs) {
+  const series = getSeries(blog, blogs);
+  if (!series) return '';
+  
+  return `
+    <nav class="mb-10 p-5 border border-gray-200 rounded-xl bg-gray-50" aria-label="Series">
+      <p class="text-sm text-gray-600 mb-3">
+        Part ${series.part} of ${series.total} in <span class="font-semibold text-gray-900">${escapeHTML(series.name)}</span>
+      </p>
+      <ol class="list-decimal pl-5 space-y-1 text-sm">
+        ${series.parts.map(part => part.slug === blog.slug
+          ? `<li><span class="font-semibold text-gray-900" aria-current="page">${escapeHTML(part.title)}</span></li>`
+          : `<li><a href="${getPostPath(part.slug)}" class="text-gray-700 underline hover:text-gray-900">${escapeHTML(part.title)}</a></li>`
+        ).join('')}
+      </ol>
+    </nav>
+  `;
+}
+
+/**
+ * Render previous/next links and related posts for a post
+ * @param {Blog} blog - Current post
+ * @param {Blog[]} blogs - All posts
+ * @returns {string} - HTML
+ */
+function renderPostLinks(blog, blogs) {
+  const { previous, next } = getAdjacentPosts(blog, blogs);
+  const related = getRelatedPosts(blog, blogs, RELATED_POSTS_LIMIT);
+  
+  return `
+    ${previous || next ? `
+      <nav class="mt-12 grid gap-4 sm:grid-cols-2" aria-label="Previous and next posts">
+        ${previous ? `
+          <a href="${getPostPath(previous.slug)}" rel="prev"
+             class="block p-5 border border-gray-200 rounded-xl hover:bg-gray-50 transition-colors">
+            <span class="block text-xs font-medium uppercase tracking-wide text-gray-500">← Previous</span>
+            <span class="block mt-1 font-semibold text-gray-900">${escapeHTML(previous.title)}</span>
+          </a>
+        ` : ''}
+        ${next ? `
+          <a href="${getPostPath(next.slug)}" rel="next"
+             class="block p-5 border border-gray-200 rounded-xl hover:bg-gray-50 transition-colors sm:col-start-2 sm:text-right">
+            <span class="block text-xs font-medium uppercase tracking-wide text-gray-500">Next →</span>
+            <span class="block mt-1 font-semibold text-gray-900">${escapeHTML(next.title)}</span>
+          </a>
+        ` : ''}
+      </nav>
+    ` : ''}
+    ${related.length > 0 ? `
+      <section class="mt-12">
+        <h2 class="text-2xl font-bold text-gray-900 mb-6">Related posts</h2>
+        <div class="grid gap-4 md:grid-cols-3">
+          ${related.map(renderPostLinkCard).join('')}
+        </div>
+      </section>
+    ` : ''}
+  `;
+}
+
+/**
+ * Fill in series, previous/next and related posts for the current post
+ * @param {Blog} blog - Current post
+ * @param {HTMLElement} container - Container holding the rendered post
+ */
+function renderPostNavigation(blog, container) {
+  const seriesSlot = container.querySelector('[data-series-nav]');
+  const navigationSlot = container.querySelector('[data-post-navigation]');
+  if (!seriesSlot || !navigationSlot || blogIndex.length === 0) return;
+  
+  seriesSlot.innerHTML = renderSeriesNavigation(blog, blogIndex);
+  navigationSlot.innerHTML = renderPostLinks(blog, blogIndex);
+}
+
+/**
+ * Show the "post not found" page, then suggest posts with a similar slug
+ * @param {string} slug - Slug that was not found
+ * @param {HTMLElement} container - Container element
+ * @param {AbortSignal} signal - Aborts the post list request
+ */
+function showPostNotFound(slug, container, signal) {
+  return showNotFoundPage(container, {
+    noun: 'post',
+    slug,
+    listPath: sitePath('blog/'),
+    renderCard: renderPostLinkCard,
+    loadItems: async () => {
+      const response = await fetchWithCache(
+        CACHE_KEYS.blogs(),
+        () => fetchBlogs({ signal }),
+        CACHE_TTL.blogs
+      );
+      if (!response.success) return null;
+      
+      blogIndex = toBlogs(response.data);
+      return blogIndex;
+    },
+  });
+}
+
+/**
+ * Point the page's title, meta tags and JSON-LD at a post
+ * @param {Blog} blog - Normalized blog (see models.js)
+ */
+function applyBlogMeta(blog) {
+  applyPageMeta(getBlogPageMeta(blog));
+  setStructuredData('blog-posting-data', buildBlogPostingData(blog));
+}
+
+/**
+ * Load the post list and show navigation for the current post
+ * The list is optional here, so failures are only logged
+ * @param {Blog} blog - Current post
+ * @param {HTMLElement} container - Container holding the rendered post
+ * @param {AbortSignal} signal - Aborts the request
+ */
+async function loadPostNavigation(blog, container, signal) {
+  const response = await fetchWithCache(
+    CACHE_KEYS.blogs(),
+    () => fetchBlogs({ signal }),
+    CACHE_TTL.blogs
+  );
+  
+  if (!response.success) {
+    if (response.category !== ERROR_CATEGORY.ABORTED) {
+      console.warn('Could not load posts for navigation:', response.error);
+    }
+    return;
+  }
+  
+  blogIndex = toBlogs(response.data);
+  renderPostNavigation(blog, container);
+}
+
+/**
+ * Offer the updated post without yanking the page away from the reader
+ * @param {string} slug - Blog slug
+ * @param {HTMLElement} container - Container holding the rendered post
+ */
+function watchBlogPost(slug, container) {
+  subscribeToCache(CACHE_KEYS.blog(slug), freshData => {
+    const freshBlog = toBlog(freshData);
+    if (!freshBlog) return;
+    
+    showToast('This post has been updated.', {
+      actionLabel: 'Show latest',
+      onAction: () => {
+        applyBlogMeta(freshBlog);
+        renderBlogPost(freshBlog, container);
+      },
+    });
+  });
+}
+
+/**
+ * Hydrate a post prerendered by scripts/prerender.js
+ * The static markup stays in place; the post is fetched in the background
+ * and only re-rendered if it changed since the build
+ * @param {Blog} blog - Post embedded in the page
+ * @param {HTMLElement} container - Container holding the prerendered post
+ */
+async function hydratePrerenderedPost(blog, container) {
+  const controller = new AbortController();
+  window.addEventListener('pagehide', () => controller.abort(), { once: true });
+  
+  hydrateBlogPost(blog, container);
+  setupReadingProgress(container, blog.slug);
+  
+  // The browser already jumped to any #fragment in the static markup
+  if (!window.location.hash) {
+    offerResumeReading(container, blog.slug);
+  }
+  
+  loadPostNavigation(blog, container, controller.signal);
+  
+  const response = await fetchWithCache(
+    CACHE_KEYS.blog(blog.slug),
+    () => fetchBlogBySlug(blog.slug, { signal: controller.signal }),
+    CACHE_TTL.blog
+  );
+  
+  if (!response.success) {
+    if (response.category !== ERROR_CATEGORY.ABORTED) {
+      console.warn('Could not refresh prerendered post:', response.error);
+    }
+    return;
+  }
+  
+  // Only live data replaces the build - saved copies may be older than it
+  const isLive = !response.fromCache && !response.offline && !response.snapshot;
+  const freshBlog = toBlog(response.data);
+  if (isLive && freshBlog && hashValue(freshBlog) !== hashValue(blog)) {
+    applyBlogMeta(freshBlog);
+    renderBlogPost(freshBlog, container);
+  }
+  
+  watchBlogPost(blog.slug, container);
+}
+
 /**
  * Load and display single blog post
- * Gets slug from URL query string and fetches blog
+ * Gets slug from the URL (or the prerendered container) and fetches blog
  */
 async function loadBlogPost() {
   const container = document.getElementById('blog-post-container');
@@ -133,44 +488,87 @@ async function loadBlogPost() {
     return;
   }
   
-  // Get slug from URL query parameter
-  const slug = getQueryParam('slug');
+  // Get slug from the URL, falling back to the prerendered post
+  const slug = getPostSlug() || container.dataset.slug;
   
   if (!slug) {
     container.innerHTML = '<p class="text-center text-red-500">No blog post specified. Please select a blog post to read.</p>';
     return;
   }
   
+  if (container.hasAttribute('data-prerendered') && container.dataset.slug === slug) {
+    const prerendered = toBlog(readEmbeddedData('blog-data'));
+    if (prerendered) {
+      hydratePrerenderedPost(prerendered, container);
+      return;
+    }
+  }
+  
   try {
     container.innerHTML = '<p class="text-center text-gray-500">Loading blog post...</p>';
     
-    // Fetch blog by slug from API
-    const response = await fetchBlogBySlug(slug);
+    // Cancel the in-flight request when the reader navigates away
+    const controller = new AbortController();
+    window.addEventListener('pagehide', () => controller.abort(), { once: true });
+    
+    const stopWakeProgress = showWakeProgress(container, 'this blog post', controller);
+    
+    // Fetch blog by slug from cache or API
+    const response = await fetchWithCache(
+      CACHE_KEYS.blog(slug),
+      () => fetchBlogBySlug(slug, { signal: controller.signal }),
+      CACHE_TTL.blog
+    );
+    stopWakeProgress();
     
-    // Extract data - handle nested data.data or just data
-    const blog = response.data?.data || response.data;
+    const blog = response.success ? toBlog(response.data) : null;
     
-    if (!blog) {
-      container.innerHTML = '<p class="text-center text-red-500">Blog post not found.</p>';
+    if (response.status === 404 || (response.success && !blog)) {
+      showPostNotFound(slug, container, controller.signal);
       return;
     }
     
-    // Update page title
-    if (blog.title) {
-      document.title = `${blog.title} - Shashank Pandey`;
+    if (!response.success) {
+      if (response.category !== ERROR_CATEGORY.ABORTED) {
+        container.innerHTML = `<p class="text-center text-red-500">${escapeHTML(getAPIErrorMessage(response, 'blog post'))}</p>`;
+      }
+      return;
     }
     
+    // Update title, meta tags and structured data
+    applyBlogMeta(blog);
+    
     // Render blog post
     renderBlogPost(blog, container);
+    setupReadingProgress(container, blog.slug);
+    
+    // A deep link wins over the saved position
+    if (window.location.hash) {
+      scrollToHash();
+    } else {
+      offerResumeReading(container, blog.slug);
+    }
+    
+    loadPostNavigation(blog, container, controller.signal);
+    
+    if (response.offline) {
+      showOfflineIndicator(container);
+    } else if (response.snapshot) {
+      showSnapshotNotice(container, response.snapshotAt);
+    }
+    
+    watchBlogPost(slug, container);
   } catch (error) {
     console.error('Error loading blog post:', error);
     container.innerHTML = '<p class="text-center text-red-500">Failed to load blog post. Please try again later.</p>';
   }
 }
 
-// Auto-load blog post when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', loadBlogPost);
-} else {
-  loadBlogPost();
+// Auto-load blog post when DOM is ready (build scripts load this file without a DOM)
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadBlogPost);
+  } else {
+    loadBlogPost();
+  }
 }
@@ -1,6 +1,8 @@
 /**
  * blogs.js - Dynamic Blogs List Rendering
- * Fetches and renders blog cards from the API
+ * Fetches and renders blog cards from the API, or refreshes the cards
+ * prerendered by scripts/prerender.js. The plain list loads page by page;
+ * tag filters and the year/month archive work on the full post list.
  */
 
 /**
@@ -49,19 +51,20 @@ function formatDate(dateStr) {
 function renderBlogCard(blog, index = 0) {
   const animationDelay = index > 0 ? `style="animation-delay: ${index * 0.1}s;"` : '';
   
-  const formattedDate = formatDate(blog.createdAt || blog.publishedAt);
-  const summaryText = blog.summary || truncateText(blog.content || blog.description || '', 200);
-  // Parse markdown in summary
-  const summary = marked.parse(summaryText).replace(/<p>|<\/p>/g, '').trim();
+  const formattedDate = formatDate(blog.publishedAt);
+  const meta = [formattedDate, formatReadingTime(blog.readingMinutes)].filter(Boolean).join(' · ');
+  const summaryText = blog.summary || truncateText(blog.content, 200);
+  // Parse markdown in summary to sanitized inline HTML
+  const summary = renderMarkdownInline(summaryText);
   
   return `
     <div class="glass-unified p-6 sm:p-8 lg:p-10 rounded-2xl shadow-xl transition transform hover:bg-white/30 hover:-translate-y-1 hover:saturate-150 opacity-0 translate-y-6 animate-fadeInUp" ${animationDelay}>
       <div class="flex justify-between items-start mb-4">
         <h3 class="text-2xl font-semibold text-gray-900">${escapeHTML(blog.title)}</h3>
-        ${formattedDate ? `<span class="text-sm text-gray-500 ml-4 flex-shrink-0">${formattedDate}</span>` : ''}
+        ${meta ? `<span class="text-sm text-gray-500 ml-4 flex-shrink-0">${meta}</span>` : ''}
       </div>
       ${summary ? `<div class="text-gray-700 mb-6 leading-relaxed prose prose-sm">${summary}</div>` : ''}
-      <a href="blog.html?slug=${encodeURIComponent(blog.slug)}" 
+      <a href="${getPostPath(blog.slug)}" 
          class="inline-flex items-center text-gray-900 font-medium hover:text-gray-700 transition-colors">
         Read More
         <svg class="w-4 h-4 ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -72,46 +75,804 @@ function renderBlogCard(blog, index = 0) {
   `;
 }
 
+// Posts fetched per page
+const BLOGS_PAGE_SIZE = 10;
+
+// Sort options understood by fetchBlogs
+const BLOG_SORTS = ['newest', 'oldest', 'title'];
+
+// How selected tags combine: 'any' (OR) or 'all' (AND)
+const BLOG_TAG_MATCHES = ['any', 'all'];
+
+// Flat card list or posts grouped by year and month
+const BLOG_VIEWS = ['list', 'archive'];
+
+/**
+ * Blog list state - the filters and every page loaded so far
+ */
+const blogList = {
+  query: { tags: [], match: 'any', sort: 'newest', view: 'list' },
+  pages: new Map(),       // page number -> Blog[]
+  lastPage: 0,
+  hasMore: true,
+  loading: false,
+  observer: null,
+  watched: new Set(),     // page numbers with a cache subscription
+  all: null,              // every post, once loaded for tags, filters and the archive
+  tagsOpen: false,        // tag chips shown - the full list loads when they first open
+  tagsError: '',          // why the chips could not load
+  readingTimes: {},       // slug -> minutes, for list records (they carry no content)
+};
+
+/**
+ * Normalize a list payload, adding the reading times it leaves out
+ * @param {object} payload - Raw GET /blogs payload
+ * @returns {Blog[]}
+ */
+function toListBlogs(payload) {
+  return applyReadingTimes(toBlogs(payload), blogList.readingTimes);
+}
+
 /**
  * Render all blogs in the container
+ * Patches existing cards by slug so unchanged cards are left untouched
  */
 function renderBlogs(blogs, container) {
   if (!blogs || blogs.length === 0) {
-    container.innerHTML = '<p class="text-center text-gray-500 col-span-full">No blog posts available yet.</p>';
+    container.innerHTML = blogList.query.tags.length > 0
+      ? '<p class="text-center text-gray-500 col-span-full">No blog posts match these filters.</p>'
+      : '<p class="text-center text-gray-500 col-span-full">No blog posts available yet.</p>';
     return;
   }
-  container.innerHTML = blogs.map((b, i) => renderBlogCard(b, i)).join('');
+  patchKeyedList(container, blogs, getItemKey, renderBlogListCard);
+}
+
+/**
+ * Render the card at a position in the list
+ * Staggers the entrance animation within each page, not across the whole list
+ * @param {Blog} blog - Normalized blog
+ * @param {number} index - Position in the list
+ * @returns {string} - HTML
+ */
+function renderBlogListCard(blog, index) {
+  return renderBlogCard(blog, index % BLOGS_PAGE_SIZE);
+}
+
+/**
+ * Render blog cards as static HTML that renderBlogs can patch later
+ * Used by scripts/prerender.js
+ * @param {Blog[]} blogs - Posts in display order
+ * @returns {string} - HTML
+ */
+function renderBlogListHTML(blogs) {
+  return renderKeyedList(blogs, getItemKey, renderBlogListCard);
+}
+
+/**
+ * Request parameters for one page of the plain list
+ * @param {number} page - Page number
+ * @returns {object} - fetchBlogs options
+ */
+function getBlogPageParams(page) {
+  return { sort: blogList.query.sort, page, limit: BLOGS_PAGE_SIZE };
+}
+
+/**
+ * Whether the current filters need the full post list instead of pages
+ * (the API filters by one tag at most and knows nothing of the archive)
+ * @returns {boolean}
+ */
+function isFullListMode() {
+  return blogList.query.tags.length > 0 || blogList.query.view === 'archive';
+}
+
+/**
+ * Read list filters and page from the URL
+ * Tags repeat (?tag=aws&tag=python), so old single-tag links still work.
+ * ?q= belongs to the search box (search.js), so the list no longer sends
+ * fetchBlogs' server-side q filter
+ * @returns {object} - { page, tags, match, sort, view }
+ */
+function readBlogListParams() {
+  const params = new URLSearchParams(window.location.search);
+  const { match, sort, view } = Object.fromEntries(['match', 'sort', 'view'].map(key => [key, params.get(key)]));
+  
+  return {
+    page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+    tags: Array.from(new Set(params.getAll('tag').map(tag => tag.trim().toLowerCase()).filter(Boolean))),
+    match: BLOG_TAG_MATCHES.includes(match) ? match : 'any',
+    sort: BLOG_SORTS.includes(sort) ? sort : 'newest',
+    view: BLOG_VIEWS.includes(view) ? view : 'list',
+  };
+}
+
+/**
+ * Reflect the filters, view and furthest loaded page in the URL
+ * Defaults are left out so the plain blogs.html URL stays clean
+ */
+function writeBlogListParams() {
+  const params = new URLSearchParams(window.location.search);
+  const { tags, match, sort, view } = blogList.query;
+  const values = {
+    match: match !== 'any' && tags.length > 1 ? match : '',
+    sort: sort !== 'newest' ? sort : '',
+    view: view !== 'list' ? view : '',
+    page: !isFullListMode() && blogList.lastPage > 1 ? blogList.lastPage : '',
+  };
+  
+  params.delete('tag');
+  tags.forEach(tag => params.append('tag', tag));
+  
+  Object.entries(values).forEach(([key, value]) => {
+    if (value) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+  });
+  
+  const search = params.toString();
+  history.replaceState(history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+}
+
+/**
+ * All loaded posts in page order, without duplicates
+ * (posts published while reading can shift items onto the next page)
+ * @returns {Blog[]}
+ */
+function getLoadedBlogs() {
+  const seen = new Set();
+  const blogs = [];
+  
+  Array.from(blogList.pages.keys()).sort((a, b) => a - b).forEach(page => {
+    blogList.pages.get(page).forEach(blog => {
+      if (!seen.has(blog.slug)) {
+        seen.add(blog.slug);
+        blogs.push(blog);
+      }
+    });
+  });
+  return blogs;
+}
+
+/**
+ * Tags used by the posts, most used first
+ * Tags are matched case-insensitively and shown as first written
+ * @param {Blog[]} blogs - Normalized blogs
+ * @returns {object[]} - [{ tag, label, count }], tag in lowercase
+ */
+function getBlogTags(blogs) {
+  const tags = new Map();
+  
+  blogs.forEach(blog => {
+    new Set(blog.tags).forEach(label => {
+      const tag = label.toLowerCase();
+      const entry = tags.get(tag) || { tag, label, count: 0 };
+      entry.count += 1;
+      tags.set(tag, entry);
+    });
+  });
+  
+  return Array.from(tags.values()).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+/**
+ * Posts with any (OR) or all (AND) of the selected tags
+ * @param {Blog[]} blogs - Normalized blogs
+ * @param {string[]} tags - Selected tags, lowercase
+ * @param {string} match - 'any' or 'all'
+ * @returns {Blog[]}
+ */
+function filterBlogsByTags(blogs, tags, match = 'any') {
+  if (tags.length === 0) return blogs;
+  
+  return blogs.filter(blog => {
+    const own = new Set(blog.tags.map(tag => tag.toLowerCase()));
+    return match === 'all' ? tags.every(tag => own.has(tag)) : tags.some(tag => own.has(tag));
+  });
+}
+
+/**
+ * Sort posts the way fetchBlogs does
+ * @param {Blog[]} blogs - Normalized blogs
+ * @param {string} sort - 'newest', 'oldest' or 'title'
+ * @returns {Blog[]} - New array
+ */
+function sortBlogs(blogs, sort) {
+  const timeOf = blog => (blog.publishedAt ? new Date(blog.publishedAt).getTime() : 0);
+  
+  return blogs.slice().sort((a, b) => {
+    if (sort === 'title') return a.title.localeCompare(b.title);
+    return sort === 'oldest' ? timeOf(a) - timeOf(b) : timeOf(b) - timeOf(a);
+  });
+}
+
+/**
+ * Group posts by year and month, keeping their order
+ * @param {Blog[]} blogs - Posts in date order
+ * @returns {object[]} - [{ year, count, months: [{ month, blogs }] }];
+ *   undated posts get year and month null
+ */
+function groupBlogsByMonth(blogs) {
+  const years = [];
+  
+  blogs.forEach(blog => {
+    const date = blog.publishedAt ? new Date(blog.publishedAt) : null;
+    const year = date ? date.getFullYear() : null;
+    const month = date ? date.getMonth() : null;
+    
+    let yearGroup = years.find(group => group.year === year);
+    if (!yearGroup) {
+      yearGroup = { year, count: 0, months: [] };
+      years.push(yearGroup);
+    }
+    
+    let monthGroup = yearGroup.months.find(group => group.month === month);
+    if (!monthGroup) {
+      monthGroup = { month, blogs: [] };
+      yearGroup.months.push(monthGroup);
+    }
+    
+    monthGroup.blogs.push(blog);
+    yearGroup.count += 1;
+  });
+  
+  return years;
+}
+
+/**
+ * "1 post" / "3 posts"
+ * @param {number} count - Number of posts
+ * @returns {string}
+ */
+function formatPostCount(count) {
+  return `${count} post${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render the archive: collapsible years and months with post counts
+ * @param {Blog[]} blogs - Posts in date order
+ * @returns {string} - HTML
+ */
+function renderBlogArchive(blogs) {
+  if (blogs.length === 0) {
+    return '<p class="text-center text-gray-500 col-span-full">No blog posts match these filters.</p>';
+  }
+  
+  const monthName = month => new Date(2000, month, 1).toLocaleDateString('en-US', { month: 'long' });
+  
+  return `
+    <div class="col-span-full space-y-6">
+      ${groupBlogsByMonth(blogs).map(({ year, count, months }) => `
+        <details open class="glass-unified p-6 sm:p-8 rounded-2xl shadow-xl">
+          <summary class="cursor-pointer text-2xl font-semibold text-gray-900">
+            ${year ?? 'Undated'}
+            <span class="ml-2 text-base font-normal text-gray-500">${formatPostCount(count)}</span>
+          </summary>
+          ${months.map(({ month, blogs: monthBlogs }) => `
+            <details open class="mt-4 ml-2">
+              <summary class="cursor-pointer text-lg font-medium text-gray-800">
+                ${month === null ? 'No date' : monthName(month)}
+                <span class="ml-2 text-sm font-normal text-gray-500">${formatPostCount(monthBlogs.length)}</span>
+              </summary>
+              <ul class="mt-2 ml-6 space-y-2">
+                ${monthBlogs.map(blog => `
+                  <li class="flex justify-between items-baseline gap-4">
+                    <a href="${getPostPath(blog.slug)}" class="text-gray-900 hover:text-gray-700 hover:underline">${escapeHTML(blog.title)}</a>
+                    <span class="text-sm text-gray-500 flex-shrink-0">${formatDate(blog.publishedAt)}</span>
+                  </li>
+                `).join('')}
+              </ul>
+            </details>
+          `).join('')}
+        </details>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render the full list for the current tags, as cards or as the archive
+ * @param {HTMLElement} container - Blogs container
+ */
+function renderFilteredBlogs(container) {
+  const { tags, match, sort, view } = blogList.query;
+  const blogs = filterBlogsByTags(blogList.all || [], tags, match);
+  
+  if (view === 'archive') {
+    // Chronological even when the list is sorted by title
+    container.innerHTML = renderBlogArchive(sortBlogs(blogs, sort === 'oldest' ? 'oldest' : 'newest'));
+  } else {
+    renderBlogs(sortBlogs(blogs, sort), container);
+  }
+}
+
+/**
+ * Render a group of toggle buttons, one of them pressed
+ * @param {string} label - Accessible group label
+ * @param {string} name - data- attribute the buttons carry
+ * @param {Array} options - [[value, text]]
+ * @param {string} current - Pressed value
+ * @returns {string} - HTML
+ */
+function renderToggleGroup(label, name, options, current) {
+  return `
+    <div role="group" aria-label="${label}" class="inline-flex rounded-xl border border-gray-300 overflow-hidden">
+      ${options.map(([value, text]) => `
+        <button type="button" data-${name}="${value}" aria-pressed="${value === current}"
+                class="px-4 py-2 text-sm font-medium transition-colors ${value === current ? 'bg-gray-900 text-white' : 'text-gray-700 hover:bg-gray-100'}">
+          ${text}
+        </button>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Whether the tag chips are on screen
+ * They stay closed until the reader asks for them, picks a tag or opens the archive
+ * @returns {boolean}
+ */
+function areBlogTagsShown() {
+  return blogList.tagsOpen || isFullListMode();
+}
+
+/**
+ * Render the view switch, tag matching switch and tag chips
+ * Chips appear once the full list has loaded; selected tags show right away
+ */
+function renderBlogToolbar() {
+  const toolbar = document.getElementById('blogs-toolbar');
+  if (!toolbar) return;
+  
+  const { tags: selected, match, view } = blogList.query;
+  const shown = areBlogTagsShown();
+  const tags = shown ? getBlogTags(blogList.all || []) : [];
+  selected.filter(tag => !tags.some(entry => entry.tag === tag)).forEach(tag => {
+    tags.push({ tag, label: tag, count: 0 });
+  });
+  
+  let status = '';
+  if (shown && !blogList.all) {
+    status = blogList.tagsError || 'Loading tags...';
+  }
+  
+  toolbar.innerHTML = `
+    <div class="flex flex-wrap items-center justify-between gap-4 mb-4">
+      ${renderToggleGroup('View', 'view', [['list', 'List'], ['archive', 'Archive']], view)}
+      ${selected.length > 1 ? renderToggleGroup('Tag matching', 'match', [['any', 'Any tag'], ['all', 'All tags']], match) : ''}
+      ${isFullListMode() ? '' : `
+        <button type="button" data-toggle-tags aria-expanded="${shown}"
+                class="px-4 py-2 rounded-xl border border-gray-300 text-sm font-medium text-gray-700 hover:bg-gray-100 transition-colors">
+          ${shown ? 'Hide tags' : 'Filter by tag'}
+        </button>
+      `}
+    </div>
+    ${status ? `<p class="text-sm text-gray-500" role="status">${escapeHTML(status)}</p>` : ''}
+    ${tags.length > 0 ? `
+      <div role="group" aria-label="Filter by tag" class="flex flex-wrap items-center gap-2">
+        ${tags.map(({ tag, label, count }) => {
+          const pressed = selected.includes(tag);
+          return `
+            <button type="button" data-tag="${escapeHTML(tag)}" aria-pressed="${pressed}"
+                    class="px-3 py-1 rounded-full text-sm font-medium transition-colors ${pressed ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}">
+              ${escapeHTML(label)} <span class="${pressed ? 'text-gray-300' : 'text-gray-500'}">${count}</span>
+            </button>
+          `;
+        }).join('')}
+        ${selected.length > 0 ? `
+          <button type="button" data-clear-tags class="px-3 py-1 text-sm text-gray-500 hover:text-gray-900 underline">
+            Clear
+          </button>
+        ` : ''}
+      </div>
+    ` : ''}
+  `;
+}
+
+/**
+ * Load the full list for the tag chips, the first time they open
+ * @param {HTMLElement} container - Blogs container
+ */
+async function loadBlogTags(container) {
+  if (blogList.all) return;
+  
+  blogList.tagsError = '';
+  const response = await loadAllBlogs(container);
+  if (!response.success) {
+    blogList.tagsError = getAPIErrorMessage(response, 'tags');
+  }
+  renderBlogToolbar();
+}
+
+/**
+ * Render the toolbar and apply the reader's changes to the list
+ * The full list is only loaded once the reader opens the tag chips
+ * @param {HTMLElement} container - Blogs container
+ */
+function setupBlogToolbar(container) {
+  const toolbar = document.getElementById('blogs-toolbar');
+  if (!toolbar) return;
+  
+  toolbar.addEventListener('click', event => {
+    const button = event.target.closest('button');
+    if (!button) return;
+    
+    const { query } = blogList;
+    const { tag, view, match } = button.dataset;
+    
+    if (button.hasAttribute('data-toggle-tags')) {
+      blogList.tagsOpen = !areBlogTagsShown();
+      renderBlogToolbar();
+      if (blogList.tagsOpen) {
+        loadBlogTags(container);
+      }
+    } else {
+      // Chips on screen stay there, e.g. after the last tag is cleared
+      const tagsShown = areBlogTagsShown();
+      
+      if (tag !== undefined) {
+        query.tags = query.tags.includes(tag) ? query.tags.filter(selected => selected !== tag) : [...query.tags, tag];
+      } else if (view) {
+        query.view = view;
+      } else if (match) {
+        query.match = match;
+      } else if (button.hasAttribute('data-clear-tags')) {
+        query.tags = [];
+      } else {
+        return;
+      }
+      
+      blogList.tagsOpen = tagsShown;
+      applyBlogFilters(container);
+    }
+    
+    // The toolbar was re-rendered - keep focus on the same control
+    const [key, value] = Object.entries(button.dataset)[0] || [];
+    Array.from(toolbar.querySelectorAll('button')).find(other => key && other.dataset[key] === value)?.focus();
+  });
+  
+  renderBlogToolbar();
+}
+
+/**
+ * Render the pagination area: loading text, "Load more" button or end marker
+ * @param {string} state - 'idle', 'loading' or 'error'
+ * @param {string} message - Error message for the 'error' state
+ */
+function renderBlogPagination(state = 'idle', message = '') {
+  const pagination = document.getElementById('blogs-pagination');
+  if (!pagination) return;
+  
+  // Filtered lists and the archive show every match at once
+  if (isFullListMode()) {
+    pagination.innerHTML = '';
+    return;
+  }
+  
+  if (state === 'loading') {
+    pagination.innerHTML = '<p class="text-gray-500">Loading more posts...</p>';
+    return;
+  }
+  
+  if (state === 'error') {
+    pagination.innerHTML = `
+      <p class="text-red-500 mb-4">${escapeHTML(message)}</p>
+      <button type="button" data-load-more
+              class="bg-gray-900 text-white px-6 py-2 rounded-lg hover:bg-gray-800 transition-colors">
+        Retry
+      </button>
+    `;
+    return;
+  }
+  
+  if (!blogList.hasMore) {
+    pagination.innerHTML = blogList.lastPage > 1
+      ? '<p class="text-sm text-gray-400">You\'ve reached the end.</p>'
+      : '';
+    return;
+  }
+  
+  // The button is the fallback when IntersectionObserver is unavailable
+  pagination.innerHTML = blogList.observer
+    ? ''
+    : `<button type="button" data-load-more
+              class="glass-unified px-6 py-3 rounded-xl text-sm font-medium hover:bg-white/30 transition-colors">
+         Load more
+       </button>`;
+}
+
+/**
+ * Fetch one page of blogs and add it to the list
+ * @param {number} page - Page to load
+ * @param {HTMLElement} container - Blogs container
+ * @param {AbortSignal} signal - Optional cancel signal
+ * @returns {Promise<object>} - fetchAPI-style result
+ */
+async function loadBlogPage(page, container, signal) {
+  const params = getBlogPageParams(page);
+  const cacheKey = CACHE_KEYS.blogs(buildQueryString(params));
+  
+  const response = await fetchWithCache(
+    cacheKey,
+    () => fetchBlogs({ ...params, signal }),
+    CACHE_TTL.blogs
+  );
+  if (!response.success) return response;
+  
+  const before = getLoadedBlogs().length;
+  blogList.pages.set(page, toListBlogs(response.data));
+  blogList.lastPage = Math.max(blogList.lastPage, page);
+  
+  // A page that adds nothing new ends the list, even if the API claims more
+  const added = getLoadedBlogs().length - before;
+  blogList.hasMore = added > 0 && toPagination(response.data, page, BLOGS_PAGE_SIZE).hasMore;
+  
+  if (!isFullListMode()) {
+    renderBlogs(getLoadedBlogs(), container);
+  }
+  
+  if (response.offline) {
+    showOfflineIndicator(container);
+  } else if (response.snapshot) {
+    showSnapshotNotice(container, response.snapshotAt);
+  }
+  
+  // Patch the page in place if background revalidation brings changes
+  watchBlogList(cacheKey, freshData => {
+    const freshBlogs = toListBlogs(freshData);
+    if (!diffByKey(blogList.pages.get(page), freshBlogs).hasChanges) return;
+    
+    blogList.pages.set(page, freshBlogs);
+    if (!isFullListMode()) {
+      renderBlogs(getLoadedBlogs(), container);
+    }
+  });
+  
+  return response;
+}
+
+/**
+ * Subscribe to a cache key once, however often its data is reloaded
+ * @param {string} cacheKey - Cache key
+ * @param {Function} listener - Called with fresh data
+ */
+function watchBlogList(cacheKey, listener) {
+  if (blogList.watched.has(cacheKey)) return;
+  blogList.watched.add(cacheKey);
+  subscribeToCache(cacheKey, listener);
+}
+
+/**
+ * Load the plain list page by page, up to a page
+ * @param {number} targetPage - Last page to load
+ * @param {HTMLElement} container - Blogs container
+ * @param {AbortSignal} signal - Optional cancel signal
+ * @returns {Promise<object>} - Result of the last request
+ */
+async function loadBlogPages(targetPage, container, signal) {
+  let response = null;
+  for (let page = blogList.lastPage + 1; page <= targetPage && (page === 1 || blogList.hasMore); page++) {
+    response = await loadBlogPage(page, container, signal);
+    if (!response.success) break;
+  }
+  return response || { success: true };
+}
+
+/**
+ * Load every post, for the tag chips, tag filters and the archive
+ * @param {HTMLElement} container - Blogs container
+ * @param {AbortSignal} signal - Optional cancel signal
+ * @returns {Promise<object>} - fetchAPI-style result
+ */
+async function loadAllBlogs(container, signal) {
+  const response = await fetchWithCache(
+    CACHE_KEYS.blogs(),
+    () => fetchBlogs({ signal }),
+    CACHE_TTL.blogs
+  );
+  if (!response.success) return response;
+  
+  blogList.all = toListBlogs(response.data);
+  
+  watchBlogList(CACHE_KEYS.blogs(), freshData => {
+    blogList.all = toListBlogs(freshData);
+    renderBlogToolbar();
+    if (isFullListMode()) {
+      renderFilteredBlogs(container);
+    }
+  });
+  
+  return response;
+}
+
+/**
+ * Load reading times for the cards and add them to the posts already shown
+ * They are optional, so failures are only logged
+ * @param {HTMLElement} container - Blogs container
+ */
+async function loadReadingTimes(container) {
+  const response = await fetchWithCache(CACHE_KEYS.readingTimes(), fetchReadingTimes, CACHE_TTL.blogs);
+  if (!response.success) {
+    console.warn('Could not load reading times:', response.error);
+    return;
+  }
+  
+  blogList.readingTimes = response.data;
+  blogList.pages.forEach((blogs, page) => blogList.pages.set(page, applyReadingTimes(blogs, response.data)));
+  if (blogList.all) {
+    blogList.all = applyReadingTimes(blogList.all, response.data);
+  }
+  
+  if (isFullListMode() ? blogList.all : blogList.lastPage > 0) {
+    if (isFullListMode()) {
+      renderFilteredBlogs(container);
+    } else {
+      renderBlogs(getLoadedBlogs(), container);
+    }
+  }
+}
+
+/**
+ * Load the page after the last one loaded
+ * @param {HTMLElement} container - Blogs container
+ */
+async function loadNextBlogPage(container) {
+  if (blogList.loading || !blogList.hasMore || isFullListMode()) return;
+  
+  blogList.loading = true;
+  renderBlogPagination('loading');
+  
+  const response = await loadBlogPage(blogList.lastPage + 1, container);
+  blogList.loading = false;
+  
+  if (!response.success) {
+    renderBlogPagination('error', getAPIErrorMessage(response, 'more blog posts'));
+    return;
+  }
+  
+  writeBlogListParams();
+  renderBlogPagination();
+  
+  // Re-observe so a sentinel that is still on screen triggers the next page
+  if (blogList.observer) {
+    const pagination = document.getElementById('blogs-pagination');
+    blogList.observer.unobserve(pagination);
+    blogList.observer.observe(pagination);
+  }
+}
+
+/**
+ * Load further pages as the reader nears the end of the list
+ * Falls back to the "Load more" button without IntersectionObserver
+ * @param {HTMLElement} container - Blogs container
+ */
+function setupInfiniteScroll(container) {
+  const pagination = document.getElementById('blogs-pagination');
+  if (!pagination) return;
+  
+  pagination.addEventListener('click', event => {
+    if (event.target.closest('[data-load-more]')) {
+      loadNextBlogPage(container);
+    }
+  });
+  
+  if ('IntersectionObserver' in window) {
+    blogList.observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadNextBlogPage(container);
+      }
+    }, { rootMargin: '400px 0px' });
+    blogList.observer.observe(pagination);
+  }
+  
+  renderBlogPagination();
+}
+
+/**
+ * Show the list for the current filters and view
+ * @param {HTMLElement} container - Blogs container
+ * @param {number} targetPage - Plain list: load every page up to this one
+ * @param {boolean} hydrating - Prerendered cards are on screen - keep them
+ *   there and let loadBlogPage patch them instead of showing a loading message
+ * @returns {Promise<boolean>} - Whether any posts could be shown
+ */
+async function showBlogs(container, targetPage = 1, hydrating = false) {
+  const controller = new AbortController();
+  let stopWakeProgress = () => {};
+  
+  if (!hydrating) {
+    container.innerHTML = '<p class="col-span-full text-center text-gray-500">Loading blogs...</p>';
+    stopWakeProgress = showWakeProgress(container, 'blog posts', controller);
+  }
+  
+  const fullList = isFullListMode();
+  const response = fullList
+    ? await loadAllBlogs(container, controller.signal)
+    : await loadBlogPages(targetPage, container, controller.signal);
+  stopWakeProgress();
+  
+  // Aborted requests already show the wake-up failure message
+  if (response.category === ERROR_CATEGORY.ABORTED) return false;
+  
+  if (!response.success && (fullList || blogList.lastPage === 0)) {
+    if (hydrating) {
+      console.warn('Could not refresh prerendered blogs:', response.error);
+      return false;
+    }
+    container.innerHTML = `<p class="col-span-full text-center text-red-500">${escapeHTML(getAPIErrorMessage(response, 'blog posts'))}</p>`;
+    return false;
+  }
+  
+  if (fullList) {
+    renderFilteredBlogs(container);
+    renderBlogToolbar();
+  }
+  
+  writeBlogListParams();
+  renderBlogPagination();
+  
+  // Restoring a deep page stopped early - offer to retry the rest
+  if (!response.success) {
+    renderBlogPagination('error', getAPIErrorMessage(response, 'more blog posts'));
+  }
+  return true;
+}
+
+/**
+ * Re-render after the reader changed tags, tag matching or the view
+ * Reuses the full list or the pages loaded so far when there are any
+ * @param {HTMLElement} container - Blogs container
+ */
+async function applyBlogFilters(container) {
+  renderBlogToolbar();
+  writeBlogListParams();
+  
+  if (isFullListMode() ? blogList.all : blogList.lastPage > 0) {
+    if (isFullListMode()) {
+      renderFilteredBlogs(container);
+    } else {
+      renderBlogs(getLoadedBlogs(), container);
+    }
+    renderBlogPagination();
+    return;
+  }
+  
+  await showBlogs(container);
 }
 
 /**
  * Load and display blogs
+ * Restores the filters, view and page from the URL
  */
 async function loadBlogs() {
   const container = document.getElementById('blogs-container');
   if (!container) return;
   
   try {
-    container.innerHTML = '<p class="col-span-full text-center text-gray-500">Loading blogs...</p>';
+    const { page: targetPage, ...query } = readBlogListParams();
+    blogList.query = query;
     
-    const response = await fetchBlogs();
+    // Prerendered cards are the plain first page
+    const hydrating = container.hasAttribute('data-prerendered') &&
+      targetPage === 1 && !isFullListMode() && query.sort === 'newest';
     
-    // Extract data - handle nested structure
-    let blogs = response.data?.data || response.data || [];
-    
-    if (!Array.isArray(blogs)) {
-      blogs = [];
+    setupBlogToolbar(container);
+    loadReadingTimes(container);
+    if (await showBlogs(container, targetPage, hydrating)) {
+      setupInfiniteScroll(container);
     }
-    
-    renderBlogs(blogs, container);
   } catch (error) {
     console.error('Error loading blogs:', error);
     container.innerHTML = '<p class="col-span-full text-center text-red-500">Failed to load blog posts. Please try again later.</p>';
   }
 }
 
-// Auto-load blogs when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', loadBlogs);
-} else {
-  loadBlogs();
+// Auto-load blogs when DOM is ready (build scripts load this file without a DOM)
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadBlogs);
+  } else {
+    loadBlogs();
+  }
 }
@@ -0,0 +1,18 @@
+/**
+ * build.js - Build ID
+ * Names the commit the deployed files were built from. The deploy workflow
+ * (.github/workflows/deploy.yml) stamps it in; local copies stay 'dev'.
+ * cache.js and sw.js version their caches with it, so new code starts from
+ * a clean cache instead of a hand-bumped version number. Scheduled deploys
+ * of the same commit keep the caches.
+ * Loaded by the pages before cache.js and by sw.js through importScripts.
+ */
+
+const BUILD_ID = 'dev';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUILD_ID,
+  };
+}
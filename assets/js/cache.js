@@ -1,11 +1,121 @@
 /**
  * cache.js - Client-Side Caching System
- * Implements localStorage-based caching with TTL (time-to-live)
+ * Implements localStorage-based caching with per-resource TTL (time-to-live),
+ * per-deploy versioning and LRU eviction when storage quota runs out
  */
 
 const CACHE_PREFIX = 'portfolio_cache_';
 const CACHE_EXPIRY = 10 * 60 * 1000; // 10 minutes in milliseconds
 
+// Build the entries were written by (see build.js) - entries of any other
+// deploy are treated as missing, so payload shape changes need no bump
+const CACHE_VERSION = typeof BUILD_ID !== 'undefined' ? BUILD_ID : 'dev';
+
+// Key of the access-time index used for LRU eviction
+const CACHE_INDEX_KEY = CACHE_PREFIX + '__lru';
+
+// TTL per resource type in milliseconds
+const CACHE_TTL = {
+  blogs: 10 * 60 * 1000,      // Blog list, reading times and search text - 10 minutes
+  blog: 60 * 60 * 1000,       // Single blog post by slug - 1 hour
+  projects: 30 * 60 * 1000,   // Projects, featured projects and single projects - 30 minutes
+  search: 24 * 60 * 60 * 1000, // Search index - 1 day (rebuilt sooner when posts change)
+};
+
+// Keeps entries of non-production API environments (see api.js) apart
+const CACHE_SCOPE = typeof API_CONFIG !== 'undefined' ? API_CONFIG.cacheScope : '';
+
+/**
+ * Build cache keys for each resource
+ */
+const CACHE_KEYS = {
+  blogs: (query = '') => `${CACHE_SCOPE}blogs${query}`,
+  blog: (slug) => `${CACHE_SCOPE}blog_${slug}`,
+  readingTimes: () => `${CACHE_SCOPE}reading_times`,
+  projects: () => `${CACHE_SCOPE}projects`,
+  featuredProjects: () => `${CACHE_SCOPE}projects_featured`,
+  project: (slug) => `${CACHE_SCOPE}project_${slug}`,
+  searchIndex: () => `${CACHE_SCOPE}search_index`,
+  searchText: () => `${CACHE_SCOPE}search_text`,
+};
+
+/**
+ * Read the LRU access-time index
+ * @returns {object} - Map of cache key to last access timestamp
+ */
+function readCacheIndex() {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_INDEX_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record an access for a cache key in the LRU index
+ * @param {string} cacheKey - Full (prefixed) cache key
+ * @param {boolean} remove - Drop the key from the index instead
+ */
+function touchCacheIndex(cacheKey, remove = false) {
+  try {
+    const index = readCacheIndex();
+    if (remove) {
+      delete index[cacheKey];
+    } else {
+      index[cacheKey] = Date.now();
+    }
+    localStorage.setItem(CACHE_INDEX_KEY, JSON.stringify(index));
+  } catch (error) {
+    // The index is best-effort; a full store must not break reads
+    console.warn('Cache index write error:', error);
+  }
+}
+
+/**
+ * Check whether an error is a storage quota error across browsers
+ * @param {Error} error - Error thrown by localStorage.setItem
+ * @returns {boolean}
+ */
+function isQuotaExceededError(error) {
+  return error instanceof DOMException && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+}
+
+/**
+ * Evict the least-recently-used cache entry
+ * Entries from an older deploy or missing from the index go first
+ * @param {string} keepKey - Full cache key that must not be evicted
+ * @returns {boolean} - True if an entry was removed
+ */
+function evictLeastRecentlyUsed(keepKey) {
+  const index = readCacheIndex();
+  const candidates = Object.keys(localStorage)
+    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_INDEX_KEY && key !== keepKey)
+    .map(key => {
+      let version = null;
+      try {
+        version = JSON.parse(localStorage.getItem(key)).version;
+      } catch {
+        // Unreadable entries are evicted first
+      }
+      const stale = version !== CACHE_VERSION;
+      return { key, lastAccess: stale ? 0 : (index[key] || 0) };
+    })
+    .sort((a, b) => a.lastAccess - b.lastAccess);
+  
+  if (candidates.length === 0) return false;
+  
+  const victim = candidates[0].key;
+  localStorage.removeItem(victim);
+  touchCacheIndex(victim, true);
+  console.debug(`Cache evicted (LRU): ${victim}`);
+  return true;
+}
+
 /**
  * Get cached data
  * @param {string} key - Cache key
@@ -18,15 +128,17 @@ function getCachedData(key) {
     
     if (!cached) return null;
     
-    const { data, timestamp } = JSON.parse(cached);
+    const { data, timestamp, ttl, version } = JSON.parse(cached);
     const now = Date.now();
     
-    // Check if cache is expired
-    if (now - timestamp > CACHE_EXPIRY) {
+    // Check if cache is from an older deploy or expired
+    if (version !== CACHE_VERSION || now - timestamp > (ttl || CACHE_EXPIRY)) {
       localStorage.removeItem(cacheKey);
+      touchCacheIndex(cacheKey, true);
       return null;
     }
     
+    touchCacheIndex(cacheKey);
     return data;
   } catch (error) {
     console.warn('Cache read error:', error);
@@ -36,19 +148,42 @@ function getCachedData(key) {
 
 /**
  * Set cached data
+ * Evicts least-recently-used entries until the write fits the storage quota
  * @param {string} key - Cache key
  * @param {object} data - Data to cache
+ * @param {number} ttl - Time-to-live in ms (default: CACHE_EXPIRY)
  */
-function setCachedData(key, data) {
+function setCachedData(key, data, ttl = CACHE_EXPIRY) {
+  const cacheKey = CACHE_PREFIX + key;
+  let serialized;
+  
   try {
-    const cacheKey = CACHE_PREFIX + key;
-    const cacheEntry = {
+    serialized = JSON.stringify({
       data,
       timestamp: Date.now(),
-    };
-    localStorage.setItem(cacheKey, JSON.stringify(cacheEntry));
+      ttl,
+      version: CACHE_VERSION,
+    });
   } catch (error) {
     console.warn('Cache write error:', error);
+    return;
+  }
+  
+  while (true) {
+    try {
+      localStorage.setItem(cacheKey, serialized);
+      touchCacheIndex(cacheKey);
+      return;
+    } catch (error) {
+      if (!isQuotaExceededError(error)) {
+        console.warn('Cache write error:', error);
+        return;
+      }
+      if (!evictLeastRecentlyUsed(cacheKey)) {
+        console.warn('Cache write skipped - entry exceeds storage quota:', key);
+        return;
+      }
+    }
   }
 }
 
@@ -60,6 +195,7 @@ function clearCache(key) {
   try {
     const cacheKey = CACHE_PREFIX + key;
     localStorage.removeItem(cacheKey);
+    touchCacheIndex(cacheKey, true);
   } catch (error) {
     console.warn('Cache clear error:', error);
   }
@@ -81,14 +217,114 @@ function clearAllCaches() {
   }
 }
 
+// Revalidation listeners keyed by cache key
+const cacheListeners = {};
+
+/**
+ * Subscribe to background revalidation results for a cache key
+ * The listener only fires when the fresh payload differs from the one served
+ * @param {string} cacheKey - Cache identifier
+ * @param {Function} listener - Called with (freshData, staleData)
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToCache(cacheKey, listener) {
+  if (!cacheListeners[cacheKey]) {
+    cacheListeners[cacheKey] = new Set();
+  }
+  cacheListeners[cacheKey].add(listener);
+  
+  return () => {
+    cacheListeners[cacheKey]?.delete(listener);
+  };
+}
+
+/**
+ * Notify listeners that revalidated data changed
+ * @param {string} cacheKey - Cache identifier
+ * @param {object} freshData - Newly fetched payload
+ * @param {object} staleData - Payload that was served from cache
+ */
+function notifyCacheListeners(cacheKey, freshData, staleData) {
+  const listeners = cacheListeners[cacheKey];
+  if (!listeners) return;
+  
+  listeners.forEach(listener => {
+    try {
+      listener(freshData, staleData);
+    } catch (error) {
+      console.warn('Cache listener error:', error);
+    }
+  });
+}
+
+/**
+ * Get the identity key of a list item (slug, then id)
+ * @param {object} item - Blog or project object
+ * @returns {string|null}
+ */
+function getItemKey(item) {
+  if (!item) return null;
+  const key = item.slug || item.id || item._id;
+  return key != null ? String(key) : null;
+}
+
+/**
+ * Diff two lists of items by slug or id
+ * @param {Array} previous - Items that were rendered
+ * @param {Array} next - Freshly fetched items
+ * @param {Function} keyOf - Identity function (default: slug, then id)
+ * @returns {object} - { added, removed, changed, unchanged, hasChanges }
+ */
+function diffByKey(previous = [], next = [], keyOf = getItemKey) {
+  const previousByKey = new Map(previous.map(item => [keyOf(item), item]));
+  const nextKeys = new Set();
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+  
+  next.forEach(item => {
+    const key = keyOf(item);
+    nextKeys.add(key);
+    
+    if (!previousByKey.has(key)) {
+      diff.added.push(item);
+    } else if (JSON.stringify(previousByKey.get(key)) !== JSON.stringify(item)) {
+      diff.changed.push(item);
+    } else {
+      diff.unchanged.push(item);
+    }
+  });
+  
+  previous.forEach(item => {
+    if (!nextKeys.has(keyOf(item))) {
+      diff.removed.push(item);
+    }
+  });
+  
+  diff.hasChanges = diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+  return diff;
+}
+
+/**
+ * Check whether a fetch result holds live data worth caching
+ * Service worker copies (offline) and deploy-time snapshots may be far older
+ * than the TTL - cached as fresh, they would hide the live data that long
+ * @param {object} result - fetchAPI-style result
+ * @returns {boolean}
+ */
+function isFreshResult(result) {
+  return result.success && !result.offline && !result.snapshot;
+}
+
 /**
  * Fetch with cache support
- * Returns cached data immediately if available, then revalidates in background
+ * Returns cached data immediately if available, then revalidates in background.
+ * Subscribers registered with subscribeToCache are told when the revalidated
+ * payload differs from the cached one.
  * @param {string} cacheKey - Cache identifier
  * @param {Function} fetchFunction - Async function that fetches fresh data
+ * @param {number} ttl - Time-to-live in ms for this resource (default: CACHE_EXPIRY)
  * @returns {Promise<object>} - Data from cache or fresh fetch
  */
-async function fetchWithCache(cacheKey, fetchFunction) {
+async function fetchWithCache(cacheKey, fetchFunction, ttl = CACHE_EXPIRY) {
   // Try to get cached data first
   const cached = getCachedData(cacheKey);
   
@@ -96,8 +332,13 @@ async function fetchWithCache(cacheKey, fetchFunction) {
     // Return cached data immediately
     // Then revalidate in background (stale-while-revalidate)
     fetchFunction().then(freshData => {
-      if (freshData.success) {
-        setCachedData(cacheKey, freshData.data);
+      // Fallback copies are not fresh data - keep the cached copy
+      if (isFreshResult(freshData)) {
+        setCachedData(cacheKey, freshData.data, ttl);
+        
+        if (JSON.stringify(freshData.data) !== JSON.stringify(cached)) {
+          notifyCacheListeners(cacheKey, freshData.data, cached);
+        }
       }
     }).catch(err => console.warn('Background revalidation failed:', err));
     
@@ -106,8 +347,8 @@ async function fetchWithCache(cacheKey, fetchFunction) {
   
   // No cache, fetch fresh data
   const result = await fetchFunction();
-  if (result.success) {
-    setCachedData(cacheKey, result.data);
+  if (isFreshResult(result)) {
+    setCachedData(cacheKey, result.data, ttl);
   }
   return result;
 }
@@ -115,10 +356,15 @@ async function fetchWithCache(cacheKey, fetchFunction) {
 // Export functions
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    CACHE_VERSION,
+    CACHE_TTL,
+    CACHE_KEYS,
     getCachedData,
     setCachedData,
     clearCache,
     clearAllCaches,
     fetchWithCache,
+    subscribeToCache,
+    diffByKey,
   };
 }
@@ -49,9 +49,7 @@ function formatDate(dateStr) {
 function renderFeaturedProjectCard(project, index = 0) {
   const animationDelay = index > 0 ? `style="animation-delay: ${index * 0.1}s;"` : '';
   
-  const description = project.description 
-    ? truncateText(project.description, 150)
-    : (project.shortDescription || '');
+  const description = truncateText(project.description, 150);
   
   // Build tech stack display
   const techStackHTML = project.techStack && project.techStack.length > 0
@@ -69,7 +67,9 @@ function renderFeaturedProjectCard(project, index = 0) {
   
   return `
     <div class="glass-unified p-6 sm:p-8 lg:p-10 rounded-2xl shadow-xl transition transform hover:bg-white/30 hover:-translate-y-1 hover:saturate-150 opacity-0 translate-y-6 animate-fadeInUp" ${animationDelay}>
-      <h3 class="text-2xl font-semibold text-gray-900 mb-4">${escapeHTML(project.title)}</h3>
+      <h3 class="text-2xl font-semibold text-gray-900 mb-4">
+        <a href="${getProjectPath(project.slug)}" class="hover:text-gray-700 transition-colors">${escapeHTML(project.title)}</a>
+      </h3>
       ${project.shortDescription ? `<p class="text-gray-600 mb-4">${escapeHTML(project.shortDescription)}</p>` : ''}
       ${description ? `<p class="text-gray-700 mb-6 leading-relaxed">${escapeHTML(description)}</p>` : ''}
       ${techStackHTML}
@@ -97,18 +97,18 @@ function renderFeaturedProjectCard(project, index = 0) {
 function renderBlogPreviewCard(blog, index = 0) {
   const animationDelay = index > 0 ? `style="animation-delay: ${index * 0.1}s;"` : '';
   
-  const summary = blog.summary || blog.excerpt || truncateText(blog.content || '', 120);
-  const date = blog.publishedAt || blog.createdAt || blog.date;
+  const summary = blog.summary || truncateText(blog.content, 120);
+  const date = blog.publishedAt;
   
   return `
     <div class="glass-unified p-6 sm:p-8 lg:p-10 rounded-2xl shadow-xl transition transform hover:bg-white/30 hover:-translate-y-1 hover:saturate-150 opacity-0 translate-y-6 animate-fadeInUp" ${animationDelay}>
       <div class="flex items-center justify-between mb-4">
         <span class="text-sm font-medium text-gray-600">${formatDate(date)}</span>
-        ${blog.readTime ? `<span class="text-sm text-gray-500">${escapeHTML(blog.readTime)}</span>` : ''}
+        ${blog.readingMinutes ? `<span class="text-sm text-gray-500">${formatReadingTime(blog.readingMinutes)}</span>` : ''}
       </div>
       <h3 class="text-2xl font-semibold text-gray-900 mb-4">${escapeHTML(blog.title)}</h3>
       ${summary ? `<p class="text-gray-700 mb-6 leading-relaxed">${escapeHTML(summary)}</p>` : ''}
-      <a href="blog.html?slug=${encodeURIComponent(blog.slug)}" 
+      <a href="${getPostPath(blog.slug)}" 
          class="inline-block bg-gray-900 text-white px-6 py-3 rounded-xl text-sm font-medium hover:bg-gray-800 transition-colors">
         Read More →
       </a>
@@ -124,14 +124,9 @@ async function loadFeaturedProjects() {
   if (!container) return;
   
   try {
-    const response = await fetchFeaturedProjects();
+    const response = await fetchWithCache(CACHE_KEYS.featuredProjects(), fetchFeaturedProjects, CACHE_TTL.projects);
     
-    // Extract data - handle nested structure
-    let projects = response.data?.data || response.data || [];
-    
-    if (!Array.isArray(projects)) {
-      projects = [];
-    }
+    const projects = toProjects(response.data);
     
     if (projects.length === 0) {
       container.innerHTML = '<p class="text-center text-gray-500">No featured projects yet.</p>';
@@ -153,14 +148,13 @@ async function loadLatestBlogs() {
   if (!container) return;
   
   try {
-    const response = await fetchBlogs();
+    const [response, readingTimes] = await Promise.all([
+      fetchWithCache(CACHE_KEYS.blogs(), fetchBlogs, CACHE_TTL.blogs),
+      fetchWithCache(CACHE_KEYS.readingTimes(), fetchReadingTimes, CACHE_TTL.blogs),
+    ]);
     
-    // Extract data - handle nested structure
-    let blogs = response.data?.data || response.data || [];
-    
-    if (!Array.isArray(blogs)) {
-      blogs = [];
-    }
+    // List records carry no content, so reading times come separately
+    const blogs = applyReadingTimes(toBlogs(response.data), readingTimes.success ? readingTimes.data : {});
     
     if (blogs.length === 0) {
       container.innerHTML = '<p class="text-center text-gray-500">No blog posts yet.</p>';
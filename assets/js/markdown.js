@@ -0,0 +1,473 @@
+/**
+ * markdown.js - Markdown Rendering Pipeline
+ * Single entry point for turning post content and summaries into safe HTML.
+ * All Markdown output goes through sanitizeHTML before it reaches the page;
+ * code highlighting (highlight.js) and math (KaTeX), both bundled under
+ * assets/vendor, run after it.
+ *
+ * On top of GitHub-flavored Markdown:
+ *   > [!NOTE]              callouts (NOTE, TIP, IMPORTANT, WARNING, CAUTION)
+ *   text[^1] / [^1]: ...   footnotes, listed at the end with back-references
+ *   ![alt](src "Caption")  on its own line, a <figure> with that caption
+ *   $x^2$ / $$...$$        inline and display math (also ```math fences)
+ */
+
+// Fence flags that turn on line numbers (```js showLineNumbers)
+const LINE_NUMBER_FLAGS = ['showlinenumbers', 'linenumbers', 'linenos'];
+
+// Callout types (> [!NOTE]) and their titles
+const ADMONITION_TITLES = {
+  note: 'Note',
+  tip: 'Tip',
+  important: 'Important',
+  warning: 'Warning',
+  caution: 'Caution',
+};
+
+// How long a code block's copy button shows its result
+const CODE_COPY_RESET_DELAY = 2000;
+
+let markedConfigured = false;
+
+// Footnotes of the document being parsed - marked tokenizers have no
+// per-parse state of their own, so parseWithFootnotes sets this around them
+let footnoteState = null;
+
+/**
+ * Parse a code fence info string such as "js {1,3-5} showLineNumbers"
+ * @param {string} info - Text after the opening fence
+ * @returns {object} - { language, lineNumbers, ranges: ['1', '3-5'] }
+ */
+function parseFenceInfo(info) {
+  let text = String(info || '');
+  let ranges = [];
+  
+  const braces = text.match(/\{([\d,\s-]*)\}/);
+  if (braces) {
+    ranges = braces[1].split(',').map(range => range.trim()).filter(range => /^\d+(-\d+)?$/.test(range));
+    text = text.replace(braces[0], ' ');
+  }
+  
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const lineNumbers = words.some(word => LINE_NUMBER_FLAGS.includes(word.toLowerCase()));
+  const first = words[0] || '';
+  const language = LINE_NUMBER_FLAGS.includes(first.toLowerCase()) ? '' : first.toLowerCase().replace(/[^\w+#-]/g, '');
+  
+  return { language, lineNumbers, ranges };
+}
+
+/**
+ * marked renderer for code fences
+ * Carries the fence metadata through the sanitizer as classes
+ * (language-js, line-numbers, hl-3-5) for highlightCodeBlocks to pick up
+ */
+function renderCodeFence(...args) {
+  // marked 13+ passes a token, older versions pass (code, infostring)
+  const [code, info] = typeof args[0] === 'object' ? [args[0].text, args[0].lang] : [args[0], args[1]];
+  const { language, lineNumbers, ranges } = parseFenceInfo(info);
+  if (language === 'math') {
+    return `${renderMathPlaceholder(code, true)}\n`;
+  }
+  
+  const classes = [
+    language && `language-${language.replace(/\+/g, 'p').replace(/#/g, 'sharp')}`,
+    lineNumbers && 'line-numbers',
+    ...ranges.map(range => `hl-${range}`),
+  ].filter(Boolean);
+  
+  const escaped = String(code || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  
+  return `<pre><code${classes.length ? ` class="${classes.join(' ')}"` : ''}>${escaped}</code></pre>\n`;
+}
+
+/**
+ * marked renderer for blockquotes
+ * Turns GitHub-style callouts (a blockquote starting with [!NOTE]) into
+ * titled boxes; other blockquotes fall back to the default renderer
+ */
+function renderAdmonition({ tokens }) {
+  const body = this.parser.parse(tokens);
+  const marker = body.match(/^<p>\[!(\w+)\][ \t]*\n?/);
+  const type = marker && marker[1].toLowerCase();
+  if (!ADMONITION_TITLES[type]) return false;
+  
+  // The marker may sit alone in its own paragraph
+  const content = body.replace(marker[0], '<p>').replace(/^<p><\/p>\n?/, '');
+  
+  return `<div class="admonition admonition-${type}">
+<div class="admonition-title">${ADMONITION_TITLES[type]}</div>
+${content}</div>\n`;
+}
+
+/**
+ * marked renderer for paragraphs
+ * An image alone in its paragraph with a title becomes a captioned figure;
+ * everything else falls back to the default renderer
+ */
+function renderFigure({ tokens }) {
+  const [image] = tokens;
+  if (tokens.length !== 1 || image.type !== 'image' || !image.title) return false;
+  
+  // The caption replaces the title tooltip
+  const img = this.parser.parseInline([{ ...image, title: null }]);
+  return `<figure>${img}<figcaption>${escapeAttribute(image.title)}</figcaption></figure>\n`;
+}
+
+/**
+ * Math source wrapped so it survives the sanitizer as escaped text
+ * renderMath swaps it for KaTeX output afterwards
+ * @param {string} tex - TeX source
+ * @param {boolean} display - Display (centered, own line) or inline math
+ * @param {string} tag - Wrapper element; span keeps $$...$$ inside a paragraph valid
+ * @returns {string}
+ */
+function renderMathPlaceholder(tex, display, tag = display ? 'div' : 'span') {
+  const source = escapeAttribute(String(tex || '').trim());
+  return `<${tag} class="math math-${display ? 'display' : 'inline'}">${source}</${tag}>`;
+}
+
+// marked extensions for math: $$...$$ blocks and $...$ inline.
+// A $ followed by a space or a digit after the closing $ is not math,
+// so prices like "$5 and $10" stay text.
+const MATH_EXTENSIONS = [
+  {
+    name: 'mathBlock',
+    level: 'block',
+    start: src => src.match(/^\$\$/m)?.index,
+    tokenizer(src) {
+      const match = src.match(/^\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/);
+      if (match) {
+        return { type: 'mathBlock', raw: match[0], text: match[1] };
+      }
+    },
+    renderer: token => `${renderMathPlaceholder(token.text, true)}\n`,
+  },
+  {
+    name: 'mathInline',
+    level: 'inline',
+    start: src => src.match(/\$/)?.index,
+    tokenizer(src) {
+      const match = src.match(/^\$\$(?!\s)([^$]+?)\$\$|^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/);
+      if (match) {
+        return { type: 'mathInline', raw: match[0], text: match[1] ?? match[2], display: match[1] !== undefined };
+      }
+    },
+    renderer: token => renderMathPlaceholder(token.text, token.display, 'span'),
+  },
+];
+
+// marked extensions for footnotes: [^label] references and
+// "[^label]: text" definitions (continued on lines indented by 2+ spaces)
+const FOOTNOTE_EXTENSIONS = [
+  {
+    name: 'footnoteDefinition',
+    level: 'block',
+    start: src => src.match(/^\[\^[^\]\s]+\]:/m)?.index,
+    tokenizer(src) {
+      const match = src.match(/^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?: {2,}|\t)[^\n]*)*)(?:\n+|$)/);
+      if (!match) return undefined;
+      
+      const text = match[2].replace(/\n\s+/g, '\n').trim();
+      if (footnoteState && !footnoteState.definitions.has(match[1])) {
+        footnoteState.definitions.set(match[1], text);
+      }
+      return { type: 'footnoteDefinition', raw: match[0] };
+    },
+    // Listed at the end of the document instead (see appendFootnotes)
+    renderer: () => '',
+  },
+  {
+    name: 'footnoteRef',
+    level: 'inline',
+    start: src => src.match(/\[\^/)?.index,
+    tokenizer(src) {
+      const match = src.match(/^\[\^([^\]\s]+)\]/);
+      if (!match || !footnoteState?.definitions.has(match[1])) return undefined;
+      
+      // Numbered in order of first reference
+      const { order } = footnoteState;
+      if (!order.includes(match[1])) order.push(match[1]);
+      return { type: 'footnoteRef', raw: match[0], number: order.indexOf(match[1]) + 1 };
+    },
+    renderer: token => `<sup><a href="#fn-${token.number}">${token.number}</a></sup>`,
+  },
+];
+
+/**
+ * Install the custom renderers on the shared marked instance (once)
+ */
+function configureMarked() {
+  if (markedConfigured) return;
+  marked.use({
+    extensions: [...MATH_EXTENSIONS, ...FOOTNOTE_EXTENSIONS],
+    renderer: {
+      code: renderCodeFence,
+      blockquote: renderAdmonition,
+      paragraph: renderFigure,
+    },
+  });
+  markedConfigured = true;
+}
+
+/**
+ * Parse Markdown, collecting its footnotes on the side
+ * @param {string} markdown - Markdown source
+ * @returns {object} - { html, footnotes: [text] } in reference order
+ */
+function parseWithFootnotes(markdown) {
+  footnoteState = { definitions: new Map(), order: [] };
+  try {
+    const html = marked.parse(markdown);
+    const footnotes = footnoteState.order.map(label => footnoteState.definitions.get(label));
+    return { html, footnotes };
+  } finally {
+    footnoteState = null;
+  }
+}
+
+/**
+ * Link footnote references and list the footnotes at the end
+ * Runs after sanitizing (which strips ids). Each footnote is rendered and
+ * sanitized on its own, and links back to its first reference.
+ * @param {string} html - Sanitized HTML
+ * @param {string[]} footnotes - Footnote Markdown, in reference order
+ * @returns {string}
+ */
+function appendFootnotes(html, footnotes) {
+  if (footnotes.length === 0) return html;
+  
+  const linked = new Set();
+  const withRefs = html.replace(/<sup><a href="#fn-(\d+)">\1<\/a><\/sup>/g, (match, number) => {
+    const id = linked.has(number) || Number(number) > footnotes.length ? '' : ` id="fnref-${number}"`;
+    linked.add(number);
+    return `<sup class="footnote-ref"><a href="#fn-${number}"${id}>${number}</a></sup>`;
+  });
+  
+  const items = footnotes.map((text, index) => `
+      <li id="fn-${index + 1}">
+        ${renderMarkdownInline(text)}
+        <a href="#fnref-${index + 1}" class="footnote-backref" aria-label="Back to reference ${index + 1}">↩</a>
+      </li>`).join('');
+  
+  return `${withRefs}
+    <section class="footnotes" aria-label="Footnotes">
+      <ol>${items}
+      </ol>
+    </section>`;
+}
+
+/**
+ * Typeset math placeholders with KaTeX
+ * Runs after sanitizing: KaTeX markup needs inline styles the sanitizer
+ * strips, and it escapes the TeX itself. Without KaTeX the source shows.
+ * @param {string} html - Sanitized HTML
+ * @returns {string}
+ */
+function renderMath(html) {
+  if (typeof katex === 'undefined') return html;
+  
+  return html.replace(/<(span|div) class="math math-(inline|display)">([^<]*)<\/\1>/g, (match, tag, mode, source) => {
+    const rendered = katex.renderToString(decodeEntities(source), {
+      displayMode: mode === 'display',
+      throwOnError: false,
+    });
+    return `<${tag} class="math math-${mode}">${rendered}</${tag}>`;
+  });
+}
+
+/**
+ * Split highlighted HTML into lines, closing and reopening any token spans
+ * that cross a line break so every line is well-formed on its own
+ * @param {string} html - highlight.js output (only <span> tags)
+ * @returns {string[]} - One HTML string per line
+ */
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let current = '';
+  
+  html.split(/(<span[^>]*>|<\/span>|\n)/).forEach(part => {
+    if (part === '\n') {
+      lines.push(current + '</span>'.repeat(open.length));
+      current = open.join('');
+    } else if (part.startsWith('<span')) {
+      open.push(part);
+      current += part;
+    } else if (part === '</span>') {
+      open.pop();
+      current += part;
+    } else {
+      current += part;
+    }
+  });
+  lines.push(current + '</span>'.repeat(open.length));
+  
+  return lines;
+}
+
+/**
+ * Expand "hl-" range classes into a set of line numbers
+ * @param {string[]} classList - Classes on the <code> element
+ * @returns {Set<number>}
+ */
+function getHighlightedLines(classList) {
+  const lines = new Set();
+  
+  classList.filter(name => name.startsWith('hl-')).forEach(name => {
+    const [start, end = start] = name.slice(3).split('-').map(Number);
+    for (let line = start; line <= Math.min(end, start + 1000); line++) {
+      lines.add(line);
+    }
+  });
+  
+  return lines;
+}
+
+/**
+ * Syntax-highlight sanitized code blocks and add their header
+ * Runs after sanitizing: highlight.js only emits escaped text and
+ * hljs-* spans, and the copy button must not be stripped
+ * @param {string} html - Sanitized HTML
+ * @returns {string} - HTML with highlighted code blocks
+ */
+function highlightCodeBlocks(html) {
+  return html.replace(/<pre><code(?: class="([^"]*)")?>([\s\S]*?)<\/code><\/pre>/g, (match, classes = '', escaped) => {
+    const classList = classes.split(' ').filter(Boolean);
+    const language = (classList.find(name => name.startsWith('language-')) || '').slice('language-'.length);
+    const lineNumbers = classList.includes('line-numbers');
+    const highlighted = getHighlightedLines(classList);
+    
+    const grammar = language && typeof hljs !== 'undefined' ? hljs.getLanguage(language) : null;
+    const source = escaped.replace(/\n$/, '');
+    const body = grammar
+      ? hljs.highlight(decodeEntities(source), { language, ignoreIllegals: true }).value
+      : source;
+    
+    const lines = splitHighlightedLines(body)
+      .map((line, index) => `<span class="code-line${highlighted.has(index + 1) ? ' code-line-highlight' : ''}">${line}</span>`)
+      .join('');
+    const label = grammar ? grammar.name : language;
+    
+    return `<div class="code-block">
+      <div class="code-block-header">
+        ${label ? `<span class="code-block-lang">${escapeAttribute(label)}</span>` : ''}
+        <button type="button" class="code-copy" aria-label="Copy code to clipboard">Copy</button>
+      </div>
+      <pre${lineNumbers ? ' class="line-numbers"' : ''}><code class="hljs${language ? ` language-${language}` : ''}">${lines}</code></pre>
+    </div>`;
+  });
+}
+
+/**
+ * Render Markdown to sanitized HTML with highlighted code blocks
+ * @param {string} markdown - Markdown source
+ * @returns {string} - Safe HTML
+ */
+function renderMarkdown(markdown) {
+  if (!markdown) return '';
+  configureMarked();
+  
+  const { html, footnotes } = parseWithFootnotes(markdown);
+  return highlightCodeBlocks(renderMath(appendFootnotes(sanitizeHTML(html), footnotes)));
+}
+
+/**
+ * Wire up the copy buttons highlightCodeBlocks adds to code blocks
+ * @param {HTMLElement} container - Container holding rendered Markdown
+ */
+function setupCodeBlocks(container) {
+  container.querySelectorAll('.code-copy').forEach(button => {
+    button.addEventListener('click', async () => {
+      const lines = button.closest('.code-block').querySelectorAll('.code-line');
+      const code = Array.from(lines, line => line.textContent).join('\n');
+      const copied = await copyToClipboard(code);
+      
+      button.textContent = copied ? 'Copied!' : 'Copy failed';
+      clearTimeout(button.resetTimer);
+      button.resetTimer = setTimeout(() => {
+        button.textContent = 'Copy';
+      }, CODE_COPY_RESET_DELAY);
+    });
+  });
+}
+
+/**
+ * Turn heading text into a URL fragment ("Setup & Deploy" -> "setup-deploy")
+ * @param {string} text - Plain heading text
+ * @returns {string} - Slug (never empty)
+ */
+function slugify(text) {
+  const slug = String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  return slug || 'section';
+}
+
+/**
+ * Give every h2/h3 in sanitized HTML a stable id and a hover permalink
+ * Ids run after sanitizing (which strips ids), and repeats get -1, -2, ...
+ * suffixes in document order so links stay stable between renders
+ * @param {string} html - Sanitized HTML
+ * @returns {object} - { html, headings: [{ id, level, text }] }
+ */
+function addHeadingAnchors(html) {
+  const headings = [];
+  const used = {};
+  
+  const withAnchors = html.replace(/<h([23])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    // Text stays entity-encoded, so it is safe to drop into markup as-is
+    const text = inner.replace(/<[^>]*>/g, '').trim();
+    const base = slugify(decodeEntities(text));
+    
+    let id = base;
+    if (used[base] !== undefined) {
+      do {
+        used[base] += 1;
+        id = `${base}-${used[base]}`;
+      } while (used[id] !== undefined);
+    }
+    used[base] = used[base] ?? 0;
+    used[id] = used[id] ?? 0;
+    
+    headings.push({ id, level: Number(level), text });
+    
+    return `<h${level} id="${id}">${inner}<a href="#${id}" class="heading-anchor" aria-label="Link to this section">#</a></h${level}>`;
+  });
+  
+  return { html: withAnchors, headings };
+}
+
+/**
+ * Render a short Markdown snippet (e.g. a card summary) to inline HTML
+ * Paragraph wrappers are dropped so the result fits inside a card
+ * @param {string} markdown - Markdown source
+ * @returns {string} - Safe HTML
+ */
+function renderMarkdownInline(markdown) {
+  if (!markdown) return '';
+  configureMarked();
+  return renderMath(sanitizeHTML(marked.parse(markdown).replace(/<p>|<\/p>/g, '').trim()));
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    renderMarkdown,
+    renderMarkdownInline,
+    slugify,
+    addHeadingAnchors,
+    parseFenceInfo,
+    highlightCodeBlocks,
+    setupCodeBlocks,
+    renderMath,
+  };
+}
@@ -0,0 +1,386 @@
+/**
+ * models.js - Blog and Project Models
+ * Unwraps API envelopes once and normalizes records into consistent objects,
+ * so renderers never have to guess between field names
+ */
+
+/**
+ * @typedef {object} Blog
+ * @property {string} id - Record id (falls back to slug)
+ * @property {string} slug - URL slug
+ * @property {string} title - Post title
+ * @property {string} summary - Short summary (may be empty)
+ * @property {string} content - Markdown body (empty in list responses)
+ * @property {string[]} tags - Tags
+ * @property {Date|null} publishedAt - Publish date
+ * @property {Date|null} updatedAt - Last update date
+ * @property {string|null} coverImage - Cover image URL
+ * @property {number|null} readingMinutes - Estimated reading time (from content,
+ *   else the API's readTime; list records get theirs from applyReadingTimes)
+ * @property {{name: string, part: number|null}|null} series - Series the post
+ *   belongs to, from the API's series field or a "Title, Part 2" style title
+ */
+
+/**
+ * @typedef {object} Project
+ * @property {string} id - Record id (falls back to slug)
+ * @property {string} slug - URL slug (falls back to id)
+ * @property {string} title - Project title
+ * @property {string} shortDescription - One-line description (may be empty)
+ * @property {string} description - Full description (may be empty)
+ * @property {string[]} techStack - Technologies used
+ * @property {string|null} liveUrl - Live site URL
+ * @property {string|null} githubUrl - Repository URL
+ * @property {boolean} featured - Whether the project is featured
+ * @property {Date|null} createdAt - Creation date
+ * @property {{url: string, caption: string}[]} images - Screenshots, from the
+ *   API's images, screenshots or gallery field (URLs or { url, caption })
+ */
+
+/**
+ * Unwrap an API envelope ({ data: ... } or the bare payload)
+ * @param {object} payload - Raw API response body
+ * @returns {*} - Unwrapped data
+ */
+function unwrapEnvelope(payload) {
+  if (payload && typeof payload === 'object' && !Array.isArray(payload) && 'data' in payload) {
+    return payload.data;
+  }
+  return payload;
+}
+
+/**
+ * Coerce a value to a valid Date
+ * @param {*} value - Date, ISO string or timestamp
+ * @returns {Date|null} - Date, or null if missing/invalid
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Coerce a value to a trimmed string
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function toText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Coerce a list field that may arrive as an array or comma-separated string
+ * @param {*} value - Array or string
+ * @returns {string[]}
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  return items.map(toText).filter(Boolean);
+}
+
+// Schemes a URL field may use - others (javascript:, data:) are dropped.
+// Checked here rather than with sanitize.js, which not every page loads
+const URL_SCHEMES = ['http', 'https', 'mailto'];
+
+/**
+ * Coerce an optional URL field
+ * Control characters and whitespace in the scheme are ignored the way
+ * browsers ignore them, so "java\tscript:" is still dropped
+ * @param {*} value - URL string
+ * @returns {string|null} - URL, or null if missing or of another scheme
+ */
+function toUrl(value) {
+  const url = toText(value);
+  if (!url) return null;
+  
+  const scheme = url.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase().match(/^([a-z][a-z0-9+.-]*):/);
+  return !scheme || URL_SCHEMES.includes(scheme[1]) ? url : null;
+}
+
+// Reading speeds in words per minute; code is read more slowly than prose
+const READING_WPM = 230;
+const CODE_READING_WPM = 100;
+
+/**
+ * Count words in a chunk of text
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function countWords(text) {
+  return (text.match(/[\w'’-]+/g) || []).length;
+}
+
+/**
+ * Estimate reading time for a Markdown body
+ * Fenced and indented code is counted separately at a slower pace;
+ * link targets, image URLs and HTML tags are not counted at all
+ * @param {string} markdown - Markdown source
+ * @returns {number|null} - Whole minutes (at least 1), or null without content
+ */
+function estimateReadingMinutes(markdown) {
+  if (!markdown) return null;
+  
+  let codeWords = 0;
+  const prose = markdown
+    .replace(/^(`{3,}|~{3,})[^\n]*\n([\s\S]*?)(?:^\1[^\n]*$|(?![\s\S]))/gm, (match, fence, code) => {
+      codeWords += countWords(code);
+      return '\n';
+    })
+    .replace(/(?:^(?: {4}|\t).*(?:\n|$))+/gm, code => {
+      codeWords += countWords(code);
+      return '\n';
+    })
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ');
+  
+  const minutes = countWords(prose) / READING_WPM + codeWords / CODE_READING_WPM;
+  return Math.max(1, Math.ceil(minutes));
+}
+
+/**
+ * Coerce a count such as "5 min read", "5" or 5 to a positive integer
+ * @param {*} value - Raw value
+ * @returns {number|null}
+ */
+function toPositiveInt(value) {
+  const minutes = parseInt(value, 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : null;
+}
+
+/**
+ * Read series membership from a raw blog record
+ * Accepts series: 'Name' (+ seriesPart), series: { name, part }, or a
+ * title like "Bot Backend, Part 2: Commands" / "Bot Backend (Part 2)"
+ * @param {object} raw - Blog record from the API
+ * @param {string} title - Trimmed title
+ * @returns {object|null} - { name, part } or null
+ */
+function parseSeries(raw, title) {
+  const field = raw.series;
+  
+  if (field && typeof field === 'object') {
+    const name = toText(field.name) || toText(field.title);
+    return name ? { name, part: toPositiveInt(field.part ?? field.order) } : null;
+  }
+  if (toText(field)) {
+    return { name: toText(field), part: toPositiveInt(raw.seriesPart ?? raw.part) };
+  }
+  
+  const match = title.match(/^(.+?)\s*(?:[:,|–—-]\s*|\()part\s+(\d+)\b/i);
+  return match ? { name: match[1].trim(), part: Number(match[2]) } : null;
+}
+
+/**
+ * Report a malformed record that is being skipped
+ * @param {string} type - Record type ('blog' or 'project')
+ * @param {string} reason - What is wrong with it
+ * @param {object} raw - Raw record
+ */
+function reportInvalidRecord(type, reason, raw) {
+  console.warn(`Skipping malformed ${type} record (${reason}):`, raw);
+}
+
+/**
+ * Normalize a raw blog record
+ * @param {object} raw - Blog record from the API
+ * @returns {Blog|null} - Blog, or null if required fields are missing
+ */
+function normalizeBlog(raw) {
+  if (!raw || typeof raw !== 'object') {
+    reportInvalidRecord('blog', 'not an object', raw);
+    return null;
+  }
+  
+  const title = toText(raw.title);
+  const slug = toText(raw.slug);
+  
+  if (!title || !slug) {
+    reportInvalidRecord('blog', !title ? 'missing title' : 'missing slug', raw);
+    return null;
+  }
+  
+  const content = toText(raw.content) || toText(raw.body) || toText(raw.description);
+  
+  return {
+    id: String(raw._id || raw.id || slug),
+    slug,
+    title,
+    summary: toText(raw.summary) || toText(raw.excerpt),
+    content,
+    tags: toList(raw.tags),
+    publishedAt: parseDate(raw.publishedAt || raw.createdAt || raw.date),
+    updatedAt: parseDate(raw.updatedAt),
+    coverImage: toUrl(raw.coverImage || raw.image),
+    readingMinutes: estimateReadingMinutes(content) ?? toPositiveInt(raw.readTime),
+    series: parseSeries(raw, title),
+  };
+}
+
+/**
+ * Coerce a list of images given as URLs or { url|src, caption|alt } objects
+ * @param {*} value - Array (or comma-separated string) of images
+ * @returns {object[]} - [{ url, caption }]
+ */
+function toImages(value) {
+  const items = Array.isArray(value) ? value : toList(value);
+  
+  return items
+    .map(item => (item && typeof item === 'object'
+      ? { url: toUrl(item.url || item.src), caption: toText(item.caption) || toText(item.alt) }
+      : { url: toUrl(item), caption: '' }))
+    .filter(image => image.url);
+}
+
+/**
+ * Normalize a raw project record
+ * @param {object} raw - Project record from the API
+ * @returns {Project|null} - Project, or null if required fields are missing
+ */
+function normalizeProject(raw) {
+  if (!raw || typeof raw !== 'object') {
+    reportInvalidRecord('project', 'not an object', raw);
+    return null;
+  }
+  
+  const title = toText(raw.title);
+  const id = raw._id || raw.id;
+  const slug = toText(raw.slug) || (id ? String(id) : '');
+  
+  if (!title || !slug) {
+    reportInvalidRecord('project', !title ? 'missing title' : 'missing slug', raw);
+    return null;
+  }
+  
+  return {
+    id: String(id || slug),
+    slug,
+    title,
+    shortDescription: toText(raw.shortDescription),
+    description: toText(raw.description),
+    techStack: toList(raw.techStack),
+    liveUrl: toUrl(raw.liveUrl),
+    githubUrl: toUrl(raw.githubUrl),
+    featured: Boolean(raw.featured),
+    createdAt: parseDate(raw.createdAt),
+    images: toImages(raw.images || raw.screenshots || raw.gallery),
+  };
+}
+
+/**
+ * Normalize a list payload, skipping malformed records
+ * @param {object} payload - Raw API response body
+ * @param {Function} normalize - Record normalizer
+ * @returns {Array}
+ */
+function toModelList(payload, normalize) {
+  const records = unwrapEnvelope(payload);
+  
+  if (!Array.isArray(records)) {
+    if (records != null) {
+      console.warn('Expected a list in API response, got:', records);
+    }
+    return [];
+  }
+  
+  return records.map(normalize).filter(Boolean);
+}
+
+/**
+ * Blogs from a GET /blogs payload
+ * @param {object} payload - Raw API response body
+ * @returns {Blog[]}
+ */
+function toBlogs(payload) {
+  return toModelList(payload, normalizeBlog);
+}
+
+/**
+ * Fill in reading times a list payload leaves out
+ * List responses carry no post content, so their reading times come from the
+ * per-slug times scripts/snapshot.js works out from the full posts
+ * @param {Blog[]} blogs - Normalized blogs
+ * @param {object} readingTimes - Slug -> minutes
+ * @returns {Blog[]} - Blogs, with readingMinutes set where a time is known
+ */
+function applyReadingTimes(blogs, readingTimes = {}) {
+  return blogs.map(blog => {
+    const minutes = toPositiveInt(readingTimes[blog.slug]);
+    return blog.readingMinutes === null && minutes ? { ...blog, readingMinutes: minutes } : blog;
+  });
+}
+
+/**
+ * Blog from a GET /blogs/:slug payload
+ * @param {object} payload - Raw API response body
+ * @returns {Blog|null}
+ */
+function toBlog(payload) {
+  const record = unwrapEnvelope(payload);
+  return record ? normalizeBlog(record) : null;
+}
+
+/**
+ * Pagination info from a list payload
+ * Reads { pagination } or { meta }; without either, a full page is assumed
+ * to mean more may follow
+ * @param {object} payload - Raw API response body
+ * @param {number} page - Requested page
+ * @param {number} limit - Requested page size
+ * @returns {object} - { page, limit, total, totalPages, hasMore }
+ */
+function toPagination(payload, page, limit) {
+  const meta = payload?.pagination || payload?.meta || {};
+  const count = Array.isArray(unwrapEnvelope(payload)) ? unwrapEnvelope(payload).length : 0;
+  
+  const total = meta.total != null && Number.isFinite(Number(meta.total)) ? Number(meta.total) : null;
+  const totalPages = Number(meta.totalPages || meta.pages) || (total !== null && limit ? Math.ceil(total / limit) : null);
+  
+  let hasMore;
+  if (typeof meta.hasMore === 'boolean') {
+    hasMore = meta.hasMore;
+  } else if (totalPages !== null) {
+    hasMore = page < totalPages;
+  } else {
+    hasMore = count >= limit;
+  }
+  
+  return { page, limit, total, totalPages, hasMore };
+}
+
+/**
+ * Projects from a GET /projects or /projects/featured payload
+ * @param {object} payload - Raw API response body
+ * @returns {Project[]}
+ */
+function toProjects(payload) {
+  return toModelList(payload, normalizeProject);
+}
+
+/**
+ * Project from a GET /projects/:slug payload
+ * @param {object} payload - Raw API response body
+ * @returns {Project|null}
+ */
+function toProject(payload) {
+  const record = unwrapEnvelope(payload);
+  return record ? normalizeProject(record) : null;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    unwrapEnvelope,
+    parseDate,
+    estimateReadingMinutes,
+    normalizeBlog,
+    normalizeProject,
+    toBlogs,
+    toBlog,
+    applyReadingTimes,
+    toPagination,
+    toProjects,
+    toProject,
+  };
+}
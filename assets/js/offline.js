@@ -0,0 +1,76 @@
+/**
+ * offline.js - Service Worker Registration and Offline Indicator
+ * Registers sw.js and shows notices when content comes from the offline cache
+ * or from a bundled API snapshot
+ */
+
+/**
+ * Register the service worker for offline reading
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  
+  window.addEventListener('load', () => {
+    // Check build.js on every update too, not through the HTTP cache -
+    // a new build ID is what makes the worker swap the cached shell
+    navigator.serviceWorker.register(sitePath('sw.js'), { updateViaCache: 'none' })
+      .catch(error => console.warn('Service worker registration failed:', error));
+  });
+}
+
+/**
+ * Show the "offline - showing saved copy" indicator above a container
+ * @param {HTMLElement} container - Container whose content came from the offline cache
+ */
+function showOfflineIndicator(container) {
+  if (!container || document.getElementById('offline-indicator')) return;
+  
+  const indicator = document.createElement('div');
+  indicator.id = 'offline-indicator';
+  indicator.setAttribute('role', 'status');
+  indicator.className = 'mb-8 flex items-center justify-center gap-2 px-4 py-2 rounded-xl bg-amber-100 text-amber-800 text-sm font-medium';
+  indicator.innerHTML = `
+    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+            d="M18.364 5.636a9 9 0 010 12.728M5.636 18.364a9 9 0 010-12.728M3 3l18 18"/>
+    </svg>
+    Offline – showing saved copy
+  `;
+  container.parentNode.insertBefore(indicator, container);
+  
+  // Clear the notice once the connection is back
+  window.addEventListener('online', () => indicator.remove(), { once: true });
+}
+
+/**
+ * Show a notice that content comes from a bundled snapshot, not the live API
+ * @param {HTMLElement} container - Container rendered from snapshot data
+ * @param {string} generatedAt - ISO date the snapshot was taken
+ */
+function showSnapshotNotice(container, generatedAt) {
+  if (!container || document.getElementById('snapshot-notice')) return;
+  
+  const date = generatedAt
+    ? new Date(generatedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+    : '';
+  
+  const notice = document.createElement('div');
+  notice.id = 'snapshot-notice';
+  notice.setAttribute('role', 'status');
+  notice.className = 'mb-8 flex items-center justify-center gap-2 px-4 py-2 rounded-xl bg-blue-50 text-blue-800 text-sm font-medium';
+  notice.textContent = date
+    ? `Live data is unavailable – showing a saved snapshot from ${date}`
+    : 'Live data is unavailable – showing a saved snapshot';
+  container.parentNode.insertBefore(notice, container);
+}
+
+registerServiceWorker();
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    registerServiceWorker,
+    showOfflineIndicator,
+    showSnapshotNotice,
+  };
+}
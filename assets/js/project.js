@@ -0,0 +1,564 @@
+/**
+ * project.js - Project Detail Page
+ * Fetches the project named by the URL (/projects/<slug>) and renders its
+ * full Markdown description, screenshot gallery (with a keyboard-driven
+ * lightbox), tech stack and links, then related projects and posts that
+ * mention it. Pages prerendered by scripts/prerender.js are hydrated instead.
+ */
+
+// Related projects shown under each project
+const RELATED_PROJECTS_LIMIT = 3;
+
+// Posts listed under "Mentioned in"
+const PROJECT_MENTIONS_LIMIT = 4;
+
+// Every project and post, for the related and mention lists
+let projectIndex = [];
+let projectBlogIndex = [];
+
+// Open lightbox: { element, images, index, opener, onKeydown }
+let lightbox = null;
+
+/**
+ * Screenshots that are safe to show
+ * @param {Project} project - Normalized project
+ * @returns {object[]} - [{ url, caption }]
+ */
+function getGalleryImages(project) {
+  return project.images.filter(image => isSafeUrl(image.url, SANITIZE_IMAGE_SCHEMES));
+}
+
+/**
+ * Accessible description of a screenshot
+ * @param {Project} project - Normalized project
+ * @param {object} image - { url, caption }
+ * @param {number} index - Position in the gallery
+ * @returns {string}
+ */
+function getImageLabel(project, image, index) {
+  return image.caption || `${project.title} screenshot ${index + 1}`;
+}
+
+/**
+ * Render a small link card for another project
+ * @param {Project} project - Normalized project
+ * @returns {string} - HTML
+ */
+function renderProjectLinkCard(project) {
+  return `
+    <a href="${getProjectPath(project.slug)}"
+       class="block p-5 border border-gray-200 rounded-xl hover:bg-gray-50 transition-colors">
+      <span class="block font-semibold text-gray-900">${escapeHTML(project.title)}</span>
+      ${project.shortDescription ? `<span class="block mt-2 text-sm text-gray-500">${escapeHTML(project.shortDescription)}</span>` : ''}
+    </a>
+  `;
+}
+
+/**
+ * Render the screenshot thumbnails
+ * @param {Project} project - Normalized project
+ * @returns {string} - HTML (empty without screenshots)
+ */
+function renderProjectGallery(project) {
+  const images = getGalleryImages(project);
+  if (images.length === 0) return '';
+  
+  return `
+    <section class="mb-12" aria-label="Screenshots">
+      <div class="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+        ${images.map((image, index) => `
+          <figure>
+            <button type="button" data-gallery-index="${index}"
+                    aria-label="View screenshot ${index + 1} of ${images.length}"
+                    class="block w-full overflow-hidden rounded-xl border border-gray-200 bg-gray-50 hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-gray-900 transition">
+              <img src="${escapeHTML(image.url)}" alt="${escapeHTML(getImageLabel(project, image, index))}" loading="lazy"
+                   class="w-full h-48 object-contain">
+            </button>
+            ${image.caption ? `<figcaption class="mt-2 text-sm text-gray-500">${escapeHTML(image.caption)}</figcaption>` : ''}
+          </figure>
+        `).join('')}
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Render the posts that mention a project
+ * @param {Project} project - Current project
+ * @param {Blog[]} blogs - All posts
+ * @returns {string} - HTML (empty without mentions)
+ */
+function renderProjectMentions(project, blogs) {
+  const mentions = getProjectMentions(project, blogs).slice(0, PROJECT_MENTIONS_LIMIT);
+  if (mentions.length === 0) return '';
+  
+  return `
+    <section class="mt-12">
+      <h2 class="text-2xl font-bold text-gray-900 mb-6">Mentioned in</h2>
+      <div class="grid gap-4 md:grid-cols-2">
+        ${mentions.map(blog => `
+          <a href="${getPostPath(blog.slug)}"
+             class="block p-5 border border-gray-200 rounded-xl hover:bg-gray-50 transition-colors">
+            <span class="block font-semibold text-gray-900">${escapeHTML(blog.title)}</span>
+            ${blog.publishedAt ? `<span class="block mt-2 text-sm text-gray-500">${formatDate(blog.publishedAt)}</span>` : ''}
+          </a>
+        `).join('')}
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Render the projects related to a project
+ * @param {Project} project - Current project
+ * @param {Project[]} projects - All projects
+ * @returns {string} - HTML (empty without related projects)
+ */
+function renderRelatedProjects(project, projects) {
+  const related = getRelatedProjects(project, projects, RELATED_PROJECTS_LIMIT);
+  if (related.length === 0) return '';
+  
+  return `
+    <section class="mt-12">
+      <h2 class="text-2xl font-bold text-gray-900 mb-6">Related projects</h2>
+      <div class="grid gap-4 md:grid-cols-3">
+        ${related.map(renderProjectLinkCard).join('')}
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Build the markup for a project's detail page
+ * @param {Project} project - Normalized project (see models.js)
+ * @returns {string} - HTML
+ */
+function renderProjectPageHTML(project) {
+  const meta = [
+    project.createdAt ? formatDate(project.createdAt) : '',
+    project.featured ? 'Featured project' : '',
+  ].filter(Boolean).join(' · ');
+  
+  return `
+    <article class="max-w-4xl mx-auto">
+      <!-- Back Button -->
+      <div class="mb-8">
+        <a href="${sitePath('projects/')}"
+           class="inline-flex items-center text-gray-600 hover:text-gray-900 transition-colors">
+          <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"/>
+          </svg>
+          Back to Projects
+        </a>
+      </div>
+      
+      <!-- Project Header -->
+      <header class="mb-10">
+        <h1 class="text-4xl md:text-5xl font-bold text-gray-900 mb-4">
+          ${escapeHTML(project.title)}
+        </h1>
+        ${meta ? `<p class="text-gray-600 mb-6">${meta}</p>` : ''}
+        ${project.shortDescription ? `
+          <p class="text-xl text-gray-700 leading-relaxed mb-8">
+            ${escapeHTML(project.shortDescription)}
+          </p>
+        ` : ''}
+        ${project.liveUrl || project.githubUrl ? `
+          <div class="flex flex-wrap gap-3">
+            ${project.liveUrl ? `
+              <a href="${escapeHTML(project.liveUrl)}" target="_blank" rel="noopener noreferrer"
+                 class="bg-gray-900 text-white px-6 py-3 rounded-xl text-sm font-medium hover:bg-gray-800 transition-colors">
+                Live Site
+              </a>
+            ` : ''}
+            ${project.githubUrl ? `
+              <a href="${escapeHTML(project.githubUrl)}" target="_blank" rel="noopener noreferrer"
+                 class="px-6 py-3 rounded-xl text-sm font-medium border border-gray-300 hover:bg-gray-100 transition-colors">
+                GitHub
+              </a>
+            ` : ''}
+          </div>
+        ` : ''}
+      </header>
+      
+      ${renderProjectGallery(project)}
+      
+      <!-- Project Description - Markdown rendered -->
+      ${project.description ? `
+        <div class="prose max-w-none text-gray-800">
+          ${renderMarkdown(project.description)}
+        </div>
+      ` : ''}
+      
+      <!-- Tech Stack - each links to the projects using it -->
+      ${project.techStack.length > 0 ? `
+        <section class="mt-12 pt-8 border-t border-gray-200">
+          <h2 class="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-3">Tech Stack</h2>
+          <div class="flex flex-wrap gap-2">
+            ${project.techStack.map(tech => `
+              <a href="${sitePath(`projects/?tech=${encodeURIComponent(tech.toLowerCase())}`)}"
+                 class="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm font-medium hover:bg-gray-200 transition-colors">
+                ${escapeHTML(tech)}
+              </a>
+            `).join('')}
+          </div>
+        </section>
+      ` : ''}
+      
+      <!-- Mentions and Related Projects - filled in once the lists load -->
+      <div data-project-mentions></div>
+      <div data-related-projects></div>
+    </article>
+  `;
+}
+
+/**
+ * Show the lightbox image at a position, wrapping around at either end
+ * @param {number} index - Image position
+ */
+function showLightboxImage(index) {
+  if (!lightbox) return;
+  
+  const { element, images, project } = lightbox;
+  lightbox.index = (index + images.length) % images.length;
+  const image = images[lightbox.index];
+  
+  const img = element.querySelector('[data-lightbox-image]');
+  img.src = image.url;
+  img.alt = getImageLabel(project, image, lightbox.index);
+  element.querySelector('[data-lightbox-caption]').textContent = image.caption;
+  element.querySelector('[data-lightbox-counter]').textContent = `${lightbox.index + 1} / ${images.length}`;
+}
+
+/**
+ * Close the lightbox and return focus to the thumbnail that opened it
+ */
+function closeLightbox() {
+  if (!lightbox) return;
+  
+  const { element, opener, onKeydown } = lightbox;
+  lightbox = null;
+  
+  document.removeEventListener('keydown', onKeydown);
+  element.remove();
+  document.body.style.overflow = '';
+  opener?.focus();
+}
+
+/**
+ * Open the lightbox on a screenshot
+ * Arrow keys move between screenshots, Home/End jump to either end,
+ * Escape closes it and Tab stays inside it
+ * @param {Project} project - Project the screenshots belong to
+ * @param {number} index - Screenshot to show first
+ * @param {HTMLElement} opener - Element to focus again on close
+ */
+function openLightbox(project, index, opener) {
+  closeLightbox();
+  
+  const images = getGalleryImages(project);
+  const several = images.length > 1;
+  const buttonClass = 'absolute flex items-center justify-center w-12 h-12 rounded-full bg-white/10 text-white text-2xl hover:bg-white/20 focus:outline-none focus:ring-2 focus:ring-white transition-colors';
+  
+  const element = document.createElement('div');
+  element.className = 'fixed inset-0 z-[70] flex items-center justify-center bg-black/90 p-4 sm:p-16';
+  element.setAttribute('role', 'dialog');
+  element.setAttribute('aria-modal', 'true');
+  element.setAttribute('aria-label', `${project.title} screenshots`);
+  element.innerHTML = `
+    <figure class="max-w-5xl w-full text-center">
+      <img data-lightbox-image src="" alt="" class="max-h-[80vh] mx-auto rounded-lg">
+      <figcaption data-lightbox-caption class="mt-3 text-sm text-gray-300"></figcaption>
+    </figure>
+    <p data-lightbox-counter class="absolute top-5 left-5 text-sm text-gray-300" aria-live="polite"></p>
+    <button type="button" data-lightbox-close aria-label="Close" class="${buttonClass} top-3 right-3">&times;</button>
+    ${several ? `
+      <button type="button" data-lightbox-prev aria-label="Previous screenshot" class="${buttonClass} left-3 top-1/2 -translate-y-1/2">&lsaquo;</button>
+      <button type="button" data-lightbox-next aria-label="Next screenshot" class="${buttonClass} right-3 top-1/2 -translate-y-1/2">&rsaquo;</button>
+    ` : ''}
+  `;
+  
+  const onKeydown = event => {
+    if (event.key === 'Escape') {
+      closeLightbox();
+    } else if (event.key === 'ArrowLeft' && several) {
+      showLightboxImage(lightbox.index - 1);
+    } else if (event.key === 'ArrowRight' && several) {
+      showLightboxImage(lightbox.index + 1);
+    } else if (event.key === 'Home') {
+      showLightboxImage(0);
+    } else if (event.key === 'End') {
+      showLightboxImage(images.length - 1);
+    } else if (event.key === 'Tab') {
+      // Keep focus on the lightbox's own buttons
+      const buttons = Array.from(element.querySelectorAll('button'));
+      const position = buttons.indexOf(document.activeElement);
+      const next = (position + (event.shiftKey ? -1 : 1) + buttons.length) % buttons.length;
+      buttons[position === -1 ? 0 : next].focus();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  };
+  
+  element.addEventListener('click', event => {
+    if (event.target.closest('[data-lightbox-prev]')) {
+      showLightboxImage(lightbox.index - 1);
+    } else if (event.target.closest('[data-lightbox-next]')) {
+      showLightboxImage(lightbox.index + 1);
+    } else if (event.target.closest('[data-lightbox-close]') || event.target === element) {
+      closeLightbox();
+    }
+  });
+  
+  lightbox = { element, images, project, index, opener, onKeydown };
+  document.addEventListener('keydown', onKeydown);
+  document.body.appendChild(element);
+  document.body.style.overflow = 'hidden';
+  
+  showLightboxImage(index);
+  element.querySelector('[data-lightbox-close]').focus();
+}
+
+/**
+ * Render a project into the page and wire up its gallery and code blocks
+ * @param {Project} project - Normalized project (see models.js)
+ * @param {HTMLElement} container - Container element
+ */
+function renderProject(project, container) {
+  container.innerHTML = renderProjectPageHTML(project);
+  hydrateProject(project, container);
+}
+
+/**
+ * Wire up the gallery, code blocks and connection lists of a project
+ * Works on markup from renderProject and on prerendered markup alike
+ * @param {Project} project - Normalized project (see models.js)
+ * @param {HTMLElement} container - Container holding the rendered project
+ */
+function hydrateProject(project, container) {
+  setupCodeBlocks(container);
+  renderProjectConnections(project, container);
+  
+  container.querySelectorAll('[data-gallery-index]').forEach(button => {
+    button.addEventListener('click', () => openLightbox(project, Number(button.dataset.galleryIndex), button));
+  });
+}
+
+/**
+ * Fill in the posts that mention a project and its related projects
+ * @param {Project} project - Current project
+ * @param {HTMLElement} container - Container holding the rendered project
+ */
+function renderProjectConnections(project, container) {
+  const mentionsSlot = container.querySelector('[data-project-mentions]');
+  const relatedSlot = container.querySelector('[data-related-projects]');
+  if (!mentionsSlot || !relatedSlot) return;
+  
+  mentionsSlot.innerHTML = renderProjectMentions(project, projectBlogIndex);
+  relatedSlot.innerHTML = renderRelatedProjects(project, projectIndex);
+}
+
+/**
+ * Load the project and post lists for the related and mention lists
+ * Both are optional here, so failures are only logged
+ * @param {Project} project - Current project
+ * @param {HTMLElement} container - Container holding the rendered project
+ * @param {AbortSignal} signal - Aborts the requests
+ */
+async function loadProjectConnections(project, container, signal) {
+  const [projectsResponse, blogsResponse] = await Promise.all([
+    fetchWithCache(CACHE_KEYS.projects(), () => fetchProjects({ signal }), CACHE_TTL.projects),
+    fetchWithCache(CACHE_KEYS.blogs(), () => fetchBlogs({ signal }), CACHE_TTL.blogs),
+  ]);
+  
+  [projectsResponse, blogsResponse].forEach(response => {
+    if (!response.success && response.category !== ERROR_CATEGORY.ABORTED) {
+      console.warn('Could not load related content:', response.error);
+    }
+  });
+  
+  if (projectsResponse.success) projectIndex = toProjects(projectsResponse.data);
+  if (blogsResponse.success) projectBlogIndex = toBlogs(blogsResponse.data);
+  renderProjectConnections(project, container);
+}
+
+/**
+ * Show the "project not found" page, then suggest projects with a similar slug
+ * @param {string} slug - Slug that was not found
+ * @param {HTMLElement} container - Container element
+ * @param {AbortSignal} signal - Aborts the project list request
+ */
+function showProjectNotFound(slug, container, signal) {
+  return showNotFoundPage(container, {
+    noun: 'project',
+    slug,
+    listPath: sitePath('projects/'),
+    renderCard: renderProjectLinkCard,
+    loadItems: async () => {
+      const response = await fetchWithCache(
+        CACHE_KEYS.projects(),
+        () => fetchProjects({ signal }),
+        CACHE_TTL.projects
+      );
+      if (!response.success) return null;
+      
+      projectIndex = toProjects(response.data);
+      return projectIndex;
+    },
+  });
+}
+
+/**
+ * Point the page's title, meta tags and JSON-LD at a project
+ * @param {Project} project - Normalized project (see models.js)
+ */
+function applyProjectMeta(project) {
+  applyPageMeta(getProjectPageMeta(project));
+  setStructuredData('project-data', buildProjectData(project));
+}
+
+/**
+ * Offer the updated project without yanking the page away from the reader
+ * @param {string} slug - Project slug
+ * @param {HTMLElement} container - Container holding the rendered project
+ */
+function watchProject(slug, container) {
+  subscribeToCache(CACHE_KEYS.project(slug), freshData => {
+    const freshProject = toProject(freshData);
+    if (!freshProject) return;
+    
+    showToast('This project has been updated.', {
+      actionLabel: 'Show latest',
+      onAction: () => {
+        applyProjectMeta(freshProject);
+        renderProject(freshProject, container);
+      },
+    });
+  });
+}
+
+/**
+ * Hydrate a project prerendered by scripts/prerender.js
+ * The static markup stays in place; the project is fetched in the background
+ * and only re-rendered if it changed since the build
+ * @param {Project} project - Project embedded in the page
+ * @param {HTMLElement} container - Container holding the prerendered project
+ */
+async function hydratePrerenderedProject(project, container) {
+  const controller = new AbortController();
+  window.addEventListener('pagehide', () => controller.abort(), { once: true });
+  
+  hydrateProject(project, container);
+  loadProjectConnections(project, container, controller.signal);
+  
+  const response = await fetchWithCache(
+    CACHE_KEYS.project(project.slug),
+    () => fetchProjectBySlug(project.slug, { signal: controller.signal }),
+    CACHE_TTL.projects
+  );
+  
+  if (!response.success) {
+    if (response.category !== ERROR_CATEGORY.ABORTED) {
+      console.warn('Could not refresh prerendered project:', response.error);
+    }
+    return;
+  }
+  
+  // Only live data replaces the build - saved copies may be older than it
+  const isLive = !response.fromCache && !response.offline && !response.snapshot;
+  const freshProject = toProject(response.data);
+  if (isLive && freshProject && hashValue(freshProject) !== hashValue(project)) {
+    applyProjectMeta(freshProject);
+    renderProject(freshProject, container);
+  }
+  
+  watchProject(project.slug, container);
+}
+
+/**
+ * Load and display the project named by the URL
+ * Gets the slug from the URL (or the prerendered container)
+ */
+async function loadProject() {
+  const container = document.getElementById('project-container');
+  if (!container) return;
+  
+  const slug = getProjectSlug() || container.dataset.slug;
+  if (!slug) {
+    container.innerHTML = `<p class="text-center text-red-500">No project specified. <a href="${sitePath('projects/')}" class="underline">Browse all projects</a>.</p>`;
+    return;
+  }
+  
+  if (container.hasAttribute('data-prerendered') && container.dataset.slug === slug) {
+    const prerendered = toProject(readEmbeddedData('project-payload'));
+    if (prerendered) {
+      hydratePrerenderedProject(prerendered, container);
+      return;
+    }
+  }
+  
+  try {
+    container.innerHTML = '<p class="text-center text-gray-500">Loading project...</p>';
+    
+    // Cancel the in-flight requests when the reader navigates away
+    const controller = new AbortController();
+    window.addEventListener('pagehide', () => controller.abort(), { once: true });
+    
+    const stopWakeProgress = showWakeProgress(container, 'this project', controller);
+    
+    const response = await fetchWithCache(
+      CACHE_KEYS.project(slug),
+      () => fetchProjectBySlug(slug, { signal: controller.signal }),
+      CACHE_TTL.projects
+    );
+    stopWakeProgress();
+    
+    const project = response.success ? toProject(response.data) : null;
+    
+    if (response.status === 404 || (response.success && !project)) {
+      showProjectNotFound(slug, container, controller.signal);
+      return;
+    }
+    
+    if (!response.success) {
+      if (response.category !== ERROR_CATEGORY.ABORTED) {
+        container.innerHTML = `<p class="text-center text-red-500">${escapeHTML(getAPIErrorMessage(response, 'project'))}</p>`;
+      }
+      return;
+    }
+    
+    applyProjectMeta(project);
+    renderProject(project, container);
+    loadProjectConnections(project, container, controller.signal);
+    
+    if (response.offline) {
+      showOfflineIndicator(container);
+    } else if (response.snapshot) {
+      showSnapshotNotice(container, response.snapshotAt);
+    }
+    
+    watchProject(slug, container);
+  } catch (error) {
+    console.error('Error loading project:', error);
+    container.innerHTML = '<p class="text-center text-red-500">Failed to load project. Please try again later.</p>';
+  }
+}
+
+// Auto-load the project when DOM is ready (build scripts load this file without a DOM)
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadProject);
+  } else {
+    loadProject();
+  }
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    renderProjectPageHTML,
+    renderProjectMentions,
+    renderRelatedProjects,
+  };
+}
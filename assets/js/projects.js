@@ -1,8 +1,23 @@
 /**
  * projects.js - Projects Page Dynamic Content
- * Fetches and renders all projects from the API
+ * Fetches and renders all projects from the API, or refreshes the cards
+ * prerendered by scripts/prerender.js. Technology filters and the sort
+ * order live in the URL (?tech=python&tech=aws&sort=title).
  */
 
+// Sort options, the first one is the default
+const PROJECT_SORTS = [
+  ['newest', 'Newest'],
+  ['featured', 'Featured first'],
+  ['title', 'A-Z'],
+];
+
+// Projects shown on the page and the reader's filters
+const projectList = {
+  all: [],
+  query: { tech: [], sort: 'newest' },
+};
+
 /**
  * Escape HTML to prevent XSS
  */
@@ -27,23 +42,37 @@ function truncateText(text, length = 200) {
   return text.substring(0, length).trim() + '...';
 }
 
+/**
+ * Render a technology chip that toggles its filter
+ * Pressed state is kept in sync by markSelectedTech, so cards can be
+ * reused by patchKeyedList when the filters change
+ * @param {string} tech - Technology as written
+ * @param {number|null} count - Projects using it, shown in the filter bar
+ * @returns {string} - HTML
+ */
+function renderTechChip(tech, count = null) {
+  const key = tech.toLowerCase();
+  const pressed = projectList.query.tech.includes(key);
+  
+  return `<button type="button" data-tech="${escapeHTML(key)}" aria-pressed="${pressed}"
+            class="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium hover:bg-gray-200 transition-colors aria-pressed:bg-gray-900 aria-pressed:text-white">${escapeHTML(tech)}${count === null ? '' : ` <span class="opacity-60">${count}</span>`}</button>`;
+}
+
 /**
  * Render a project card
  */
 function renderProjectCard(project, index = 0) {
   const animationDelay = index > 0 ? `style="animation-delay: ${index * 0.1}s;"` : '';
   
-  const description = project.description || project.shortDescription || '';
+  const description = project.description;
   
-  // Build tech stack display
+  // Build tech stack display - each chip toggles that technology's filter
   const techStackHTML = project.techStack && project.techStack.length > 0
     ? `
       <div class="mb-6">
         <div class="text-sm font-medium text-gray-600 mb-2">Tech Stack:</div>
         <div class="flex flex-wrap gap-2">
-          ${project.techStack.map(tech => 
-            `<span class="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium">${escapeHTML(tech)}</span>`
-          ).join('')}
+          ${project.techStack.map(tech => renderTechChip(tech)).join('')}
         </div>
       </div>
     `
@@ -51,7 +80,9 @@ function renderProjectCard(project, index = 0) {
   
   return `
     <div class="glass-unified p-6 sm:p-8 lg:p-10 rounded-2xl shadow-xl transition transform hover:bg-white/30 hover:-translate-y-1 hover:saturate-150 opacity-0 translate-y-6 animate-fadeInUp" ${animationDelay}>
-      <h3 class="text-2xl font-semibold text-gray-900 mb-4">${escapeHTML(project.title)}</h3>
+      <h3 class="text-2xl font-semibold text-gray-900 mb-4">
+        <a href="${getProjectPath(project.slug)}" class="hover:text-gray-700 transition-colors">${escapeHTML(project.title)}</a>
+      </h3>
       ${project.shortDescription ? `<p class="text-gray-600 mb-4">${escapeHTML(project.shortDescription)}</p>` : ''}
       ${description ? `<p class="text-gray-700 mb-6 leading-relaxed">${escapeHTML(truncateText(description, 200))}</p>` : ''}
       ${techStackHTML}
@@ -74,14 +105,232 @@ function renderProjectCard(project, index = 0) {
 }
 
 /**
- * Render multiple project cards
+ * Render the projects matching the current filters
+ * Patches existing cards by slug or id so unchanged cards are left untouched
  */
 function renderProjects(projects, container) {
-  if (!projects || projects.length === 0) {
+  projectList.all = projects || [];
+  renderProjectToolbar();
+  
+  if (projectList.all.length === 0) {
     container.innerHTML = '<p class="text-center text-gray-500 col-span-full">No projects found.</p>';
     return;
   }
-  container.innerHTML = projects.reverse().map((p, i) => renderProjectCard(p, i)).join('');
+  
+  const { tech, sort } = projectList.query;
+  const shown = orderProjects(filterProjectsByTech(projectList.all, tech), sort);
+  
+  if (shown.length === 0) {
+    container.innerHTML = '<p class="text-center text-gray-500 col-span-full">No projects use all of the selected technologies.</p>';
+  } else {
+    patchKeyedList(container, shown, getItemKey, renderProjectCard);
+    markSelectedTech(container);
+  }
+  
+  // Structured data describes every project, whatever is filtered
+  setStructuredData('projects-data', buildProjectListData(orderProjects(projectList.all)));
+}
+
+/**
+ * Projects in display order
+ * Projects without a creation date keep their API position; the API lists
+ * oldest first, so later entries count as newer
+ * @param {Project[]} projects - Projects as returned by the API
+ * @param {string} sort - 'newest', 'featured' (then newest) or 'title'
+ * @returns {Project[]} - New array
+ */
+function orderProjects(projects, sort = 'newest') {
+  const timeOf = project => (project.createdAt ? project.createdAt.getTime() : 0);
+  const newest = (a, b) => timeOf(b.project) - timeOf(a.project) || b.index - a.index;
+  
+  const compare = {
+    newest,
+    featured: (a, b) => Number(b.project.featured) - Number(a.project.featured) || newest(a, b),
+    title: (a, b) => a.project.title.localeCompare(b.project.title),
+  }[sort] || newest;
+  
+  return projects
+    .map((project, index) => ({ project, index }))
+    .sort(compare)
+    .map(({ project }) => project);
+}
+
+/**
+ * Projects using every selected technology
+ * @param {Project[]} projects - Normalized projects
+ * @param {string[]} tech - Selected technologies, lowercase
+ * @returns {Project[]}
+ */
+function filterProjectsByTech(projects, tech) {
+  if (tech.length === 0) return projects;
+  
+  return projects.filter(project => {
+    const own = new Set(project.techStack.map(name => name.toLowerCase()));
+    return tech.every(name => own.has(name));
+  });
+}
+
+/**
+ * Technologies used by the projects, most used first
+ * @param {Project[]} projects - Normalized projects
+ * @returns {object[]} - [{ tech, count }], tech as first written
+ */
+function getProjectTech(projects) {
+  const counts = new Map();
+  
+  projects.forEach(project => {
+    new Set(project.techStack).forEach(tech => {
+      const entry = counts.get(tech.toLowerCase()) || { tech, count: 0 };
+      entry.count += 1;
+      counts.set(tech.toLowerCase(), entry);
+    });
+  });
+  
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tech.localeCompare(b.tech));
+}
+
+/**
+ * Set aria-pressed on every technology chip to match the filters
+ * @param {HTMLElement} root - Element holding chips
+ */
+function markSelectedTech(root) {
+  root.querySelectorAll('[data-tech]').forEach(chip => {
+    chip.setAttribute('aria-pressed', String(projectList.query.tech.includes(chip.dataset.tech)));
+  });
+}
+
+/**
+ * Read filters and sort order from the URL
+ * @returns {object} - { tech, sort }
+ */
+function readProjectParams() {
+  const params = new URLSearchParams(window.location.search);
+  const sort = params.get('sort');
+  
+  return {
+    tech: Array.from(new Set(params.getAll('tech').map(tech => tech.toLowerCase()).filter(Boolean))),
+    sort: PROJECT_SORTS.some(([value]) => value === sort) ? sort : PROJECT_SORTS[0][0],
+  };
+}
+
+/**
+ * Reflect filters and sort order in the URL without adding history entries
+ */
+function writeProjectParams() {
+  const params = new URLSearchParams(window.location.search);
+  const { tech, sort } = projectList.query;
+  
+  params.delete('tech');
+  tech.forEach(name => params.append('tech', name));
+  
+  if (sort !== PROJECT_SORTS[0][0]) {
+    params.set('sort', sort);
+  } else {
+    params.delete('sort');
+  }
+  
+  const search = params.toString();
+  history.replaceState(history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+}
+
+/**
+ * Render the sort options and the technology filter bar
+ */
+function renderProjectToolbar() {
+  const toolbar = document.getElementById('projects-toolbar');
+  if (!toolbar) return;
+  
+  const { tech: selected, sort } = projectList.query;
+  const techList = getProjectTech(projectList.all);
+  selected.filter(name => !techList.some(entry => entry.tech.toLowerCase() === name)).forEach(name => {
+    techList.push({ tech: name, count: 0 });
+  });
+  
+  toolbar.innerHTML = `
+    <div role="group" aria-label="Sort projects" class="inline-flex rounded-xl border border-gray-300 overflow-hidden mb-4">
+      ${PROJECT_SORTS.map(([value, label]) => `
+        <button type="button" data-sort="${value}" aria-pressed="${value === sort}"
+                class="px-4 py-2 text-sm font-medium transition-colors ${value === sort ? 'bg-gray-900 text-white' : 'text-gray-700 hover:bg-gray-100'}">
+          ${label}
+        </button>
+      `).join('')}
+    </div>
+    ${techList.length > 0 ? `
+      <div role="group" aria-label="Filter by technology" class="flex flex-wrap items-center gap-2">
+        ${techList.map(({ tech, count }) => renderTechChip(tech, count)).join('')}
+        ${selected.length > 0 ? `
+          <button type="button" data-clear-tech class="px-3 py-1 text-xs text-gray-500 hover:text-gray-900 underline">
+            Clear
+          </button>
+        ` : ''}
+      </div>
+    ` : ''}
+  `;
+}
+
+/**
+ * Apply filter and sort clicks from the filter bar and the cards' chips
+ * @param {HTMLElement} container - Projects container
+ */
+function setupProjectFilters(container) {
+  projectList.query = readProjectParams();
+  
+  const onClick = event => {
+    const button = event.target.closest('button[data-tech], button[data-sort], button[data-clear-tech]');
+    if (!button) return;
+    
+    const { query } = projectList;
+    const { tech, sort } = button.dataset;
+    
+    if (tech !== undefined) {
+      query.tech = query.tech.includes(tech) ? query.tech.filter(name => name !== tech) : [...query.tech, tech];
+    } else if (sort) {
+      query.sort = sort;
+    } else {
+      query.tech = [];
+    }
+    
+    const inToolbar = !container.contains(button);
+    writeProjectParams();
+    renderProjects(projectList.all, container);
+    
+    // The filter bar was re-rendered - keep focus on the same control
+    if (inToolbar) {
+      const [key, value] = Object.entries(button.dataset)[0] || [];
+      Array.from(document.querySelectorAll('#projects-toolbar button')).find(other => key && other.dataset[key] === value)?.focus();
+    }
+  };
+  
+  container.addEventListener('click', onClick);
+  document.getElementById('projects-toolbar')?.addEventListener('click', onClick);
+}
+
+/**
+ * Render project cards as static HTML that renderProjects can patch later
+ * Used by scripts/prerender.js
+ * @param {Project[]} projects - Projects as returned by the API
+ * @returns {string} - HTML
+ */
+function renderProjectListHTML(projects) {
+  return renderKeyedList(orderProjects(projects), getItemKey, renderProjectCard);
+}
+
+/**
+ * Re-render projects when background revalidation brings changes
+ * @param {string} cacheKey - Cache key the list was served from
+ * @param {Array} projects - Projects currently rendered
+ * @param {HTMLElement} container - Container element
+ */
+function watchProjects(cacheKey, projects, container) {
+  let current = projects;
+  
+  subscribeToCache(cacheKey, freshData => {
+    const freshProjects = toProjects(freshData);
+    if (!diffByKey(current, freshProjects).hasChanges) return;
+    
+    current = freshProjects.slice();
+    renderProjects(freshProjects, container);
+  });
 }
 
 /**
@@ -91,19 +340,47 @@ async function loadProjects() {
   const container = document.getElementById('projects-container');
   if (!container) return;
   
+  setupProjectFilters(container);
+  
   try {
-    container.innerHTML = '<p class="col-span-full text-center text-gray-500">Loading projects...</p>';
+    // Prerendered cards stay on screen and are patched once the API answers
+    const hydrating = container.hasAttribute('data-prerendered');
     
-    const response = await fetchProjects();
+    const controller = new AbortController();
+    let stopWakeProgress = () => {};
     
-    // Extract data - handle nested structure
-    let projects = response.data?.data || response.data || [];
+    if (!hydrating) {
+      container.innerHTML = '<p class="col-span-full text-center text-gray-500">Loading projects...</p>';
+      stopWakeProgress = showWakeProgress(container, 'projects', controller);
+    }
+    
+    const response = await fetchWithCache(
+      CACHE_KEYS.projects(),
+      () => fetchProjects({ signal: controller.signal }),
+      CACHE_TTL.projects
+    );
+    stopWakeProgress();
+    
+    // Aborted requests already show the wake-up failure message
+    if (response.category === ERROR_CATEGORY.ABORTED) return;
     
-    if (!Array.isArray(projects)) {
-      projects = [];
+    if (!response.success) {
+      if (hydrating) {
+        console.warn('Could not refresh prerendered projects:', response.error);
+        return;
+      }
+      container.innerHTML = `<p class="col-span-full text-center text-red-500">${escapeHTML(getAPIErrorMessage(response, 'projects'))}</p>`;
+      return;
     }
     
+    const projects = toProjects(response.data);
+    
+    watchProjects(CACHE_KEYS.projects(), projects.slice(), container);
     renderProjects(projects, container);
+    
+    if (response.snapshot) {
+      showSnapshotNotice(container, response.snapshotAt);
+    }
   } catch (error) {
     console.error('Error loading projects:', error);
     container.innerHTML = '<p class="col-span-full text-center text-red-500">Failed to load projects. Please try again later.</p>';
@@ -120,25 +397,43 @@ async function loadFeaturedProjects() {
   try {
     container.innerHTML = '<p class="col-span-full text-center text-gray-500">Loading projects...</p>';
     
-    const response = await fetchFeaturedProjects();
+    const controller = new AbortController();
+    const stopWakeProgress = showWakeProgress(container, 'projects', controller);
     
-    // Extract data - handle nested structure
-    let projects = response.data?.data || response.data || [];
+    const response = await fetchWithCache(
+      CACHE_KEYS.featuredProjects(),
+      () => fetchFeaturedProjects({ signal: controller.signal }),
+      CACHE_TTL.projects
+    );
+    stopWakeProgress();
     
-    if (!Array.isArray(projects)) {
-      projects = [];
+    // Aborted requests already show the wake-up failure message
+    if (response.category === ERROR_CATEGORY.ABORTED) return;
+    
+    if (!response.success) {
+      container.innerHTML = `<p class="col-span-full text-center text-red-500">${escapeHTML(getAPIErrorMessage(response, 'projects'))}</p>`;
+      return;
     }
     
+    const projects = toProjects(response.data);
+    
+    watchProjects(CACHE_KEYS.featuredProjects(), projects.slice(), container);
     renderProjects(projects, container);
+    
+    if (response.snapshot) {
+      showSnapshotNotice(container, response.snapshotAt);
+    }
   } catch (error) {
     console.error('Error loading featured projects:', error);
     container.innerHTML = '<p class="col-span-full text-center text-red-500">Failed to load projects. Please try again later.</p>';
   }
 }
 
-// Auto-load all projects when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', loadProjects);
-} else {
-  loadProjects();
+// Auto-load all projects when DOM is ready (build scripts load this file without a DOM)
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadProjects);
+  } else {
+    loadProjects();
+  }
 }
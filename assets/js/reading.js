@@ -0,0 +1,184 @@
+/**
+ * reading.js - Reading Progress and Resume Position
+ * Drives the top progress bar on blog posts and remembers how far into
+ * each post the reader got, so they can pick up where they left off
+ */
+
+const READING_POSITIONS_KEY = 'portfolio_reading_positions';
+
+// Oldest positions are dropped beyond this many posts
+const READING_POSITIONS_LIMIT = 50;
+
+// Only offer to resume between these fractions of the post
+const RESUME_MIN_PROGRESS = 0.05;
+const RESUME_MAX_PROGRESS = 0.95;
+
+// Fixed nav height, so "top of the content" means just below the nav
+const READING_NAV_OFFSET = 80;
+
+// What the scroll handler is currently tracking
+const readingState = {
+  container: null,
+  slug: null,
+  bar: null,
+  frame: null,
+  listening: false,
+};
+
+/**
+ * Read all saved reading positions
+ * @returns {object} - slug -> { progress, savedAt }
+ */
+function readReadingPositions() {
+  try {
+    const positions = JSON.parse(localStorage.getItem(READING_POSITIONS_KEY));
+    return positions && typeof positions === 'object' ? positions : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save (or with null, forget) the reading position for a post
+ * @param {string} slug - Blog slug
+ * @param {number|null} progress - Fraction of the post read (0-1)
+ */
+function saveReadingPosition(slug, progress) {
+  const positions = readReadingPositions();
+  
+  if (progress === null) {
+    delete positions[slug];
+  } else {
+    positions[slug] = { progress, savedAt: Date.now() };
+  }
+  
+  const trimmed = Object.entries(positions)
+    .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+    .slice(0, READING_POSITIONS_LIMIT);
+  
+  try {
+    localStorage.setItem(READING_POSITIONS_KEY, JSON.stringify(Object.fromEntries(trimmed)));
+  } catch (error) {
+    console.warn('Could not save reading position:', error);
+  }
+}
+
+/**
+ * Get the saved reading position for a post
+ * @param {string} slug - Blog slug
+ * @returns {number|null} - Fraction of the post read, if saved
+ */
+function getReadingPosition(slug) {
+  const entry = readReadingPositions()[slug];
+  return entry && Number.isFinite(entry.progress) ? entry.progress : null;
+}
+
+/**
+ * Scroll range covered by the post body
+ * @param {HTMLElement} content - Rendered post body
+ * @returns {object} - { start, end } in document scroll coordinates
+ */
+function getContentScrollRange(content) {
+  const rect = content.getBoundingClientRect();
+  const start = rect.top + window.scrollY - READING_NAV_OFFSET;
+  const end = start + rect.height - (window.innerHeight - READING_NAV_OFFSET);
+  return { start, end: Math.max(end, start + 1) };
+}
+
+/**
+ * How far through the post body the reader has scrolled
+ * @param {HTMLElement} content - Rendered post body
+ * @returns {number} - 0 to 1
+ */
+function getReadingProgress(content) {
+  const { start, end } = getContentScrollRange(content);
+  return Math.min(1, Math.max(0, (window.scrollY - start) / (end - start)));
+}
+
+/**
+ * Update the progress bar
+ */
+function updateReadingProgress() {
+  readingState.frame = null;
+  
+  const content = readingState.container?.querySelector('.prose');
+  if (!content) return;
+  
+  const progress = getReadingProgress(content);
+  if (readingState.bar) {
+    readingState.bar.style.transform = `scaleX(${progress})`;
+  }
+}
+
+/**
+ * Persist the current position (finished posts are forgotten)
+ * Positions near the top are not saved, so opening a post and leaving
+ * before reading on does not wipe out an earlier position
+ */
+function persistReadingPosition() {
+  const content = readingState.container?.querySelector('.prose');
+  if (!content || !readingState.slug) return;
+  
+  const progress = getReadingProgress(content);
+  if (progress < RESUME_MIN_PROGRESS) return;
+  saveReadingPosition(readingState.slug, progress >= RESUME_MAX_PROGRESS ? null : Math.round(progress * 1000) / 1000);
+}
+
+/**
+ * Track reading progress for the post in a container
+ * The content is looked up on every update, so re-rendering the post
+ * (e.g. "Show latest") keeps working
+ * @param {HTMLElement} container - Container holding the rendered post
+ * @param {string} slug - Blog slug
+ */
+function setupReadingProgress(container, slug) {
+  readingState.container = container;
+  readingState.slug = slug;
+  readingState.bar = document.getElementById('reading-progress');
+  
+  if (!readingState.listening) {
+    const schedule = () => {
+      if (readingState.frame === null) {
+        readingState.frame = requestAnimationFrame(updateReadingProgress);
+      }
+    };
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    window.addEventListener('scroll', debounce(persistReadingPosition, 500), { passive: true });
+    window.addEventListener('pagehide', persistReadingPosition);
+    readingState.listening = true;
+  }
+  
+  updateReadingProgress();
+}
+
+/**
+ * Offer to jump back to where the reader stopped last time
+ * @param {HTMLElement} container - Container holding the rendered post
+ * @param {string} slug - Blog slug
+ */
+function offerResumeReading(container, slug) {
+  const progress = getReadingPosition(slug);
+  if (progress === null || progress < RESUME_MIN_PROGRESS || progress >= RESUME_MAX_PROGRESS) return;
+  
+  showToast('Continue where you left off?', {
+    actionLabel: 'Continue',
+    onAction: () => {
+      const content = container.querySelector('.prose');
+      if (!content) return;
+      
+      const { start, end } = getContentScrollRange(content);
+      window.scrollTo({ top: start + progress * (end - start), behavior: 'smooth' });
+    },
+  });
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getReadingPosition,
+    saveReadingPosition,
+    setupReadingProgress,
+    offerResumeReading,
+  };
+}
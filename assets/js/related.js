@@ -0,0 +1,209 @@
+/**
+ * related.js - Post and Project Relationships
+ * Previous/next by publish date, related posts ranked by shared tags and
+ * title/summary similarity, series membership, related projects and the
+ * posts that mention a project. Pure functions over normalized models,
+ * so build scripts can use them too.
+ */
+
+// Words too common to say anything about what a post is about
+const RELATED_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'your', 'you', 'are',
+  'how', 'what', 'why', 'when', 'into', 'about', 'using', 'use', 'our', 'its',
+  'can', 'was', 'were', 'has', 'have', 'not', 'but', 'all', 'out', 'one',
+  'part', 'over', 'more', 'most', 'some', 'than', 'then', 'them', 'they',
+]);
+
+// Weight of shared tags vs. shared title/summary words in the related score
+const RELATED_TAG_WEIGHT = 0.6;
+const RELATED_TEXT_WEIGHT = 0.4;
+
+// Same for projects, where the tech stack plays the part of tags
+const RELATED_TECH_WEIGHT = 0.7;
+const RELATED_PROJECT_TEXT_WEIGHT = 0.3;
+
+/**
+ * Significant lowercase words in a piece of text
+ * @param {string} text - Plain text
+ * @returns {Set<string>}
+ */
+function getTextTerms(text) {
+  const words = text.toLowerCase().match(/[a-z0-9][a-z0-9+#.-]*[a-z0-9+#]|[a-z0-9]/g) || [];
+  return new Set(words.filter(word => word.length > 2 && !RELATED_STOP_WORDS.has(word)));
+}
+
+/**
+ * Significant lowercase words in a post's title and summary
+ * @param {Blog} blog - Normalized blog
+ * @returns {Set<string>}
+ */
+function getPostTerms(blog) {
+  return getTextTerms(`${blog.title} ${blog.summary}`);
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} - 0 to 1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Previous (older) and next (newer) posts by publish date
+ * @param {Blog} blog - Current post
+ * @param {Blog[]} blogs - All posts
+ * @returns {object} - { previous: Blog|null, next: Blog|null }
+ */
+function getAdjacentPosts(blog, blogs) {
+  if (!blog.publishedAt) return { previous: null, next: null };
+  
+  const dated = blogs
+    .filter(other => other.publishedAt && other.slug !== blog.slug)
+    .concat(blog)
+    .sort((a, b) => a.publishedAt - b.publishedAt || a.slug.localeCompare(b.slug));
+  const index = dated.indexOf(blog);
+  
+  return {
+    previous: dated[index - 1] || null,
+    next: dated[index + 1] || null,
+  };
+}
+
+/**
+ * Other parts of the series a post belongs to
+ * @param {Blog} blog - Current post
+ * @param {Blog[]} blogs - All posts
+ * @returns {object|null} - { name, part, total, parts: Blog[] } or null
+ */
+function getSeries(blog, blogs) {
+  if (!blog.series) return null;
+  
+  const name = blog.series.name.toLowerCase();
+  const parts = blogs
+    .filter(other => other.series && other.series.name.toLowerCase() === name && other.slug !== blog.slug)
+    .concat(blog)
+    .sort((a, b) =>
+      (a.series.part ?? Infinity) - (b.series.part ?? Infinity) ||
+      (a.publishedAt || 0) - (b.publishedAt || 0)
+    );
+  
+  if (parts.length < 2) return null;
+  
+  return {
+    name: blog.series.name,
+    part: parts.indexOf(blog) + 1,
+    total: parts.length,
+    parts,
+  };
+}
+
+/**
+ * Rank other posts by how related they are to a post
+ * Series siblings are left out, since the series navigation lists them
+ * @param {Blog} blog - Current post
+ * @param {Blog[]} blogs - All posts
+ * @param {number} limit - Maximum posts to return
+ * @returns {Blog[]} - Most related first
+ */
+function getRelatedPosts(blog, blogs, limit = 3) {
+  const tags = new Set(blog.tags.map(tag => tag.toLowerCase()));
+  const terms = getPostTerms(blog);
+  const seriesName = blog.series?.name.toLowerCase();
+  
+  return blogs
+    .filter(other => other.slug !== blog.slug)
+    .filter(other => !seriesName || other.series?.name.toLowerCase() !== seriesName)
+    .map(other => ({
+      blog: other,
+      score: RELATED_TAG_WEIGHT * jaccard(tags, new Set(other.tags.map(tag => tag.toLowerCase()))) +
+        RELATED_TEXT_WEIGHT * jaccard(terms, getPostTerms(other)),
+    }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || (b.blog.publishedAt || 0) - (a.blog.publishedAt || 0))
+    .slice(0, limit)
+    .map(entry => entry.blog);
+}
+
+/**
+ * Rank other projects by shared technologies and title/description words
+ * @param {Project} project - Current project
+ * @param {Project[]} projects - All projects
+ * @param {number} limit - Maximum projects to return
+ * @returns {Project[]} - Most related first
+ */
+function getRelatedProjects(project, projects, limit = 3) {
+  const techOf = other => new Set(other.techStack.map(tech => tech.toLowerCase()));
+  const termsOf = other => getTextTerms(`${other.title} ${other.shortDescription}`);
+  const tech = techOf(project);
+  const terms = termsOf(project);
+  
+  return projects
+    .filter(other => other.slug !== project.slug)
+    .map(other => ({
+      project: other,
+      score: RELATED_TECH_WEIGHT * jaccard(tech, techOf(other)) +
+        RELATED_PROJECT_TEXT_WEIGHT * jaccard(terms, termsOf(other)),
+    }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || Number(b.project.featured) - Number(a.project.featured))
+    .slice(0, limit)
+    .map(entry => entry.project);
+}
+
+/**
+ * Posts that mention a project
+ * A post mentions a project when its title, summary or content names it,
+ * when it is tagged with the project's slug, or when its content links to
+ * the project's page, live site or repository. Posts naming it in the
+ * title come first, then newest first.
+ * @param {Project} project - Normalized project
+ * @param {Blog[]} blogs - All posts (list responses carry no content, so
+ *   only titles, summaries and tags are searched there)
+ * @returns {Blog[]}
+ */
+function getProjectMentions(project, blogs) {
+  const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const name = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(project.title.toLowerCase())}(?![\\p{L}\\p{N}])`, 'u');
+  const slug = project.slug.toLowerCase();
+  
+  // Profile links (github.com/user) say nothing about one project
+  const slugPath = encodeURIComponent(project.slug);
+  const links = [`projects/${slugPath}`, `project.html?slug=${slugPath}`, project.liveUrl]
+    .concat(/^https?:\/\/github\.com\/[^/]+\/[^/?#]+/i.test(project.githubUrl || '') ? project.githubUrl : [])
+    .filter(Boolean)
+    .map(link => link.toLowerCase().replace(/\/$/, ''));
+  
+  return blogs
+    .map(blog => {
+      const inTitle = name.test(blog.title.toLowerCase());
+      const text = `${blog.summary} ${blog.content}`.toLowerCase();
+      const mentioned = inTitle ||
+        name.test(text) ||
+        blog.tags.some(tag => tag.toLowerCase() === slug) ||
+        links.some(link => text.includes(link));
+      return mentioned ? { blog, inTitle } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => Number(b.inTitle) - Number(a.inTitle) || (b.blog.publishedAt || 0) - (a.blog.publishedAt || 0))
+    .map(entry => entry.blog);
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getAdjacentPosts,
+    getSeries,
+    getRelatedPosts,
+    getRelatedProjects,
+    getProjectMentions,
+  };
+}
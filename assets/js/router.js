@@ -0,0 +1,261 @@
+/**
+ * router.js - Site Paths and Clean URLs
+ * Posts live at /blog/<slug> and projects at /projects/<slug>. Those URLs
+ * are either prerendered pages (scripts/prerender.js) or reach blog.html /
+ * project.html through 404.html, which passes the original path along as
+ * ?route=. Load this before the other scripts: it restores that path and
+ * redirects old blog.html?slug= and project.html?slug= links to clean ones.
+ * The URL changes once the document is parsed - earlier, the relative
+ * <script> URLs still to come would resolve against /blog/ - so scripts that
+ * read it while loading use getPageURL().
+ */
+
+// Clean routes relative to the site root (prerendered pages may add .html),
+// and the page that renders each one
+const ROUTES = {
+  post: { pattern: /^blog\/([^/]+?)(?:\.html)?\/?$/, page: 'blog.html' },
+  project: { pattern: /^projects\/([^/]+?)(?:\.html)?\/?$/, page: 'project.html' },
+};
+
+// Set by 404.html to the path it was asked for
+const ROUTE_PARAM = 'route';
+
+// "Did you mean" suggestions on the post-not-found page
+const SLUG_SUGGESTION_LIMIT = 3;
+const SLUG_SUGGESTION_MIN_SCORE = 0.5;
+
+/**
+ * Work out the site root from where this script was loaded (assets/js/),
+ * so pages at any depth (e.g. /blog/<slug>) reach site files too
+ * @returns {string} - Root path ending in '/'
+ */
+function getSiteRoot() {
+  const src = typeof document !== 'undefined' && document.currentScript?.src;
+  if (!src) return '/';
+  
+  try {
+    return new URL('../../', src).pathname;
+  } catch {
+    return '/';
+  }
+}
+
+// Must be read while this script runs - currentScript is null afterwards
+const SITE_ROOT = getSiteRoot();
+
+/**
+ * Path of a site file that works from any page
+ * @param {string} path - Path from the site root (e.g. 'blogs.html')
+ * @returns {string}
+ */
+function sitePath(path = '') {
+  return SITE_ROOT + path.replace(/^\.?\//, '');
+}
+
+/**
+ * Clean URL path of a blog post
+ * @param {string} slug - Blog slug
+ * @returns {string} - e.g. /blog/my-post
+ */
+function getPostPath(slug) {
+  return sitePath(`blog/${encodeURIComponent(slug)}`);
+}
+
+/**
+ * Clean URL path of a project's detail page
+ * @param {string} slug - Project slug
+ * @returns {string} - e.g. /projects/my-project
+ */
+function getProjectPath(slug) {
+  return sitePath(`projects/${encodeURIComponent(slug)}`);
+}
+
+/**
+ * Slug of the post or project a path points at
+ * @param {string} pathname - URL path
+ * @param {string} route - Key of ROUTES ('post' or 'project')
+ * @returns {string|null}
+ */
+function getRouteSlug(pathname, route = 'post') {
+  if (!pathname.startsWith(SITE_ROOT)) return null;
+  
+  const match = pathname.slice(SITE_ROOT.length).match(ROUTES[route].pattern);
+  if (!match || match[1] === 'index') return null;
+  
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Slug of the post on the current page
+ * Falls back to ?slug= for pages the router did not redirect
+ * @returns {string|null}
+ */
+function getPostSlug() {
+  const url = getPageURL();
+  return getRouteSlug(url.pathname) || url.searchParams.get('slug');
+}
+
+/**
+ * Slug of the project on the current page
+ * Falls back to ?slug= for pages the router did not redirect
+ * @returns {string|null}
+ */
+function getProjectSlug() {
+  const url = getPageURL();
+  return getRouteSlug(url.pathname, 'project') || url.searchParams.get('slug');
+}
+
+/**
+ * Make the page's relative links absolute before the URL moves
+ * They resolve against the current URL, which is about to change folder
+ * (blog.html -> /blog/<slug>, project.html -> /projects/<slug>).
+ * In-page #links are left alone.
+ */
+function pinRelativeLinks() {
+  document.querySelectorAll('a[href]').forEach(link => {
+    const href = link.getAttribute('href');
+    if (!href.startsWith('#') && !/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+      link.setAttribute('href', link.href);
+    }
+  });
+}
+
+/**
+ * Which route a page renders
+ * @param {string} pathname - URL path of the page (e.g. /blog.html)
+ * @returns {string|null} - Key of ROUTES, or null for other pages
+ */
+function getPageRoute(pathname) {
+  return Object.keys(ROUTES).find(name => pathname === sitePath(ROUTES[name].page)) || null;
+}
+
+/**
+ * Work out the clean URL the current page should show
+ * @returns {URL|null} - Target URL, or null to stay put
+ */
+function resolveRedirect() {
+  const url = new URL(window.location.href);
+  const route = url.searchParams.get(ROUTE_PARAM);
+  const name = getPageRoute(url.pathname);
+  
+  // Back from 404.html - only this page's routes on this site, so ?route= is no open redirect
+  if (route) {
+    const restored = new URL(route, url.origin);
+    if (restored.origin !== url.origin || !name || !getRouteSlug(restored.pathname, name)) return null;
+    
+    restored.hash = restored.hash || url.hash;
+    return restored;
+  }
+  
+  // Old blog.html?slug= / project.html?slug= links - keep other params (e.g. ?api=) and the #fragment
+  const slug = url.searchParams.get('slug');
+  if (slug && name) {
+    const target = new URL(name === 'post' ? getPostPath(slug) : getProjectPath(slug), url.origin);
+    url.searchParams.delete('slug');
+    target.search = url.search;
+    target.hash = url.hash;
+    return target;
+  }
+  
+  return null;
+}
+
+/**
+ * URL the page shows once restoreRoute has run
+ * @returns {URL}
+ */
+function getPageURL() {
+  return resolveRedirect() || new URL(window.location.href);
+}
+
+/**
+ * Show the clean URL without reloading the page
+ */
+function restoreRoute() {
+  const target = resolveRedirect();
+  if (!target) return;
+  
+  pinRelativeLinks();
+  history.replaceState(history.state, '', `${target.pathname}${target.search}${target.hash}`);
+}
+
+/**
+ * Edit distance between two strings (Levenshtein)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Slugs that look like a mistyped or reworded version of a slug
+ * Scored by edit distance and by shared words, so both typos and
+ * reordered slugs (aws-lambda-fastapi) find the post
+ * @param {string} slug - Slug that was not found
+ * @param {string[]} slugs - Existing slugs
+ * @param {number} limit - Maximum slugs to return
+ * @returns {string[]} - Closest first
+ */
+function findSimilarSlugs(slug, slugs, limit = SLUG_SUGGESTION_LIMIT) {
+  const target = slug.toLowerCase();
+  const words = new Set(target.split('-').filter(Boolean));
+  
+  return slugs
+    .map(candidate => {
+      const lower = candidate.toLowerCase();
+      const candidateWords = lower.split('-').filter(Boolean);
+      const shared = candidateWords.filter(word => words.has(word)).length;
+      
+      const spelling = 1 - getEditDistance(target, lower) / Math.max(target.length, lower.length, 1);
+      const overlap = shared / Math.max(words.size, candidateWords.length, 1);
+      return { slug: candidate, score: Math.max(spelling, overlap) };
+    })
+    .filter(entry => entry.score >= SLUG_SUGGESTION_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => entry.slug);
+}
+
+// Settle the URL after every script has loaded, before any page script runs
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', restoreRoute);
+  } else {
+    restoreRoute();
+  }
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SITE_ROOT,
+    sitePath,
+    getPostPath,
+    getProjectPath,
+    getRouteSlug,
+    getPostSlug,
+    getProjectSlug,
+    getPageURL,
+    findSimilarSlugs,
+  };
+}
@@ -0,0 +1,290 @@
+/**
+ * sanitize.js - Allowlist HTML Sanitizer for Rendered Markdown
+ * Rebuilds HTML from allowed tags and attributes only, dropping scripts,
+ * event handlers and dangerous URL schemes. Works without a DOM so the same
+ * code runs in the browser and in Node build scripts.
+ * scripts/sanitize.test.js holds the malicious-input corpus it must pass.
+ */
+
+/**
+ * Allowed tags and the attributes each may keep
+ */
+const SANITIZE_ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  abbr: ['title'],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: ['class'],
+  del: [],
+  details: [],
+  div: ['class'],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  input: ['type', 'checked', 'disabled'],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ['start'],
+  p: [],
+  pre: ['class'],
+  s: [],
+  span: ['class'],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['align'],
+  th: ['align'],
+  thead: [],
+  tr: [],
+  ul: [],
+};
+
+// Elements removed together with everything inside them
+const SANITIZE_DROP_CONTENT = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'noembed', 'noframes', 'template', 'textarea', 'title', 'xmp',
+  'select', 'option', 'svg', 'math', 'form', 'button',
+];
+
+// Elements with no closing tag
+const SANITIZE_VOID_TAGS = ['br', 'hr', 'img', 'input'];
+
+// URL schemes allowed in links and images (relative URLs are always allowed)
+const SANITIZE_LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const SANITIZE_IMAGE_SCHEMES = ['http', 'https'];
+
+const START_TAG_PATTERN = /^<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/;
+const END_TAG_PATTERN = /^<\/([a-zA-Z][\w:-]*)\s*>/;
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')', sol: '/',
+};
+
+/**
+ * Decode HTML entities in an attribute value
+ * @param {string} value - Raw attribute value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Escape a value for use inside a double-quoted attribute
+ * @param {string} value - Decoded attribute value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Check a URL against an allowlist of schemes
+ * Control characters and whitespace are ignored the way browsers ignore them,
+ * so "java\tscript:" is still caught
+ * @param {string} url - Decoded URL
+ * @param {string[]} schemes - Allowed schemes
+ * @returns {boolean}
+ */
+function isSafeUrl(url, schemes) {
+  const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  
+  // No scheme before the first / ? or # means a relative URL
+  if (!scheme) return true;
+  return schemes.includes(scheme[1]);
+}
+
+/**
+ * Check whether a URL points off-site
+ * @param {string} url - Decoded URL
+ * @param {string} siteOrigin - Origin of this site
+ * @returns {boolean}
+ */
+function isExternalUrl(url, siteOrigin) {
+  if (!/^(https?:)?\/\//i.test(url.trim())) return false;
+  try {
+    return new URL(url, siteOrigin).origin !== siteOrigin;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Build the allowed attribute string for a tag
+ * @param {string} tag - Lowercase tag name
+ * @param {string} rawAttributes - Attribute source from the start tag
+ * @param {object} options - { siteOrigin }
+ * @returns {string|null} - ' a="b"...' or null if the element must be dropped
+ */
+function sanitizeAttributes(tag, rawAttributes, options) {
+  const allowed = SANITIZE_ALLOWED_TAGS[tag];
+  const attributes = {};
+  
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ATTRIBUTE_PATTERN.exec(rawAttributes)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    
+    if (!allowed.includes(name) || name in attributes) continue;
+    
+    if (name === 'href' && !isSafeUrl(value, SANITIZE_LINK_SCHEMES)) continue;
+    if (name === 'src' && !isSafeUrl(value, SANITIZE_IMAGE_SCHEMES)) continue;
+    if (name === 'class') {
+      const classes = value.split(/\s+/).filter(c => /^[\w-]+$/.test(c));
+      if (classes.length === 0) continue;
+      attributes.class = classes.join(' ');
+      continue;
+    }
+    if ((name === 'width' || name === 'height' || name === 'start') && !/^\d+$/.test(value)) continue;
+    if (name === 'align' && !['left', 'right', 'center'].includes(value)) continue;
+    
+    attributes[name] = value;
+  }
+  
+  // Only task-list checkboxes survive, and never as live form controls
+  if (tag === 'input') {
+    if (attributes.type !== 'checkbox') return null;
+    attributes.disabled = '';
+  }
+  if (tag === 'img' && !attributes.src) return null;
+  
+  if (tag === 'a' && attributes.href && isExternalUrl(attributes.href, options.siteOrigin)) {
+    attributes.target = '_blank';
+    attributes.rel = 'noopener noreferrer';
+  }
+  
+  return Object.entries(attributes)
+    .map(([name, value]) => (value === '' && name !== 'alt' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+    .join('');
+}
+
+/**
+ * Sanitize an HTML string against the allowlist
+ * Allowed elements are rebuilt from scratch; other elements are unwrapped
+ * (their text kept), except SANITIZE_DROP_CONTENT which vanish entirely.
+ * Anything that does not parse as a tag is escaped as text.
+ * @param {string} html - Untrusted HTML (e.g. marked output)
+ * @param {object} options - { siteOrigin } used to detect external links
+ * @returns {string} - Safe HTML
+ */
+function sanitizeHTML(html, options = {}) {
+  if (!html) return '';
+  
+  const siteOrigin = options.siteOrigin ||
+    (typeof window !== 'undefined' ? window.location.origin : 'https://shashankpandey.xyz');
+  const settings = { siteOrigin };
+  
+  const output = [];
+  const openTags = [];
+  let i = 0;
+  
+  while (i < html.length) {
+    const next = html.indexOf('<', i);
+    
+    if (next === -1) {
+      output.push(html.slice(i).replace(/>/g, '&gt;'));
+      break;
+    }
+    if (next > i) {
+      output.push(html.slice(i, next).replace(/>/g, '&gt;'));
+      i = next;
+    }
+    
+    const rest = html.slice(i);
+    
+    // Comments, doctypes, CDATA and processing instructions are dropped
+    if (rest.startsWith('<!--')) {
+      const end = html.indexOf('-->', i + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (rest.startsWith('<!') || rest.startsWith('<?')) {
+      const end = html.indexOf('>', i);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+    
+    const endMatch = rest.match(END_TAG_PATTERN);
+    if (endMatch) {
+      const tag = endMatch[1].toLowerCase();
+      const index = openTags.lastIndexOf(tag);
+      if (index !== -1) {
+        // Close anything left open inside it
+        while (openTags.length > index) {
+          output.push(`</${openTags.pop()}>`);
+        }
+      }
+      i += endMatch[0].length;
+      continue;
+    }
+    
+    const startMatch = rest.match(START_TAG_PATTERN);
+    if (startMatch) {
+      const tag = startMatch[1].toLowerCase();
+      i += startMatch[0].length;
+      
+      if (SANITIZE_DROP_CONTENT.includes(tag)) {
+        const closing = new RegExp(`</${tag}\\s*>`, 'i');
+        const close = html.slice(i).search(closing);
+        i = close === -1 ? html.length : i + close + html.slice(i + close).match(closing)[0].length;
+        continue;
+      }
+      
+      if (!SANITIZE_ALLOWED_TAGS[tag]) continue;
+      
+      const attributes = sanitizeAttributes(tag, startMatch[2] || '', settings);
+      if (attributes === null) continue;
+      
+      output.push(`<${tag}${attributes}>`);
+      if (!SANITIZE_VOID_TAGS.includes(tag)) {
+        openTags.push(tag);
+      }
+      continue;
+    }
+    
+    // A lone "<" that starts no tag is text
+    output.push('&lt;');
+    i += 1;
+  }
+  
+  while (openTags.length > 0) {
+    output.push(`</${openTags.pop()}>`);
+  }
+  
+  return output.join('');
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    sanitizeHTML,
+    isSafeUrl,
+    decodeEntities,
+    escapeAttribute,
+  };
+}
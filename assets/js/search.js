@@ -0,0 +1,527 @@
+/**
+ * search.js - Client-Side Full-Text Search
+ * Searches posts and projects in the browser with an inverted index built
+ * from the fetchBlogs and fetchProjects data, and kept in the local cache
+ * until that data changes. List payloads carry no post content, so post
+ * bodies come from fetchSearchText (written at deploy time by snapshot.js).
+ * Matching tolerates typos and treats the last word as a prefix, so results
+ * update while the reader is still typing.
+ */
+
+// Bump when the index format changes - cached indexes of other versions are rebuilt
+const SEARCH_INDEX_VERSION = 1;
+
+// How much a match in each field counts (projects: techStack counts as tags)
+const SEARCH_FIELD_WEIGHTS = {
+  title: 5,
+  tags: 4,
+  summary: 2,
+  content: 1,
+};
+
+// Score factor of looser matches, relative to an exact word match
+const SEARCH_PREFIX_FACTOR = 0.8;
+const SEARCH_TYPO_FACTORS = [1, 0.6, 0.35]; // by edit distance
+
+const SEARCH_DEBOUNCE = 200;
+const SEARCH_RESULT_LIMIT = 20;
+const SEARCH_SNIPPET_LENGTH = 160;
+const SEARCH_PARAM = 'q';
+
+// Larger indexes are rebuilt on each visit rather than crowding out the API cache
+const SEARCH_CACHE_MAX_SIZE = 1024 * 1024;
+
+// Words too common to narrow a search
+const SEARCH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with',
+]);
+
+// Words as search sees them: letters and digits, plus + and # (c++, c#)
+const SEARCH_WORD = /[\p{L}\p{N}][\p{L}\p{N}+#]*/gu;
+
+/**
+ * Search index state for the page
+ */
+const searchState = {
+  index: null,
+  loading: null,        // Promise while the index is being loaded
+  query: '',
+};
+
+/**
+ * Normalize a word for matching ("Café" -> "cafe")
+ * @param {string} word - Word as written
+ * @returns {string}
+ */
+function normalizeSearchWord(word) {
+  return word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Split text into normalized words worth indexing
+ * @param {string} text - Any text
+ * @returns {string[]}
+ */
+function tokenizeSearchText(text) {
+  return (String(text || '').match(SEARCH_WORD) || [])
+    .map(normalizeSearchWord)
+    .filter(word => !SEARCH_STOP_WORDS.has(word));
+}
+
+/**
+ * Reduce Markdown to the text a reader sees
+ * @param {string} markdown - Markdown source
+ * @returns {string}
+ */
+function toSearchText(markdown) {
+  return String(markdown || '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/^```.*$/gm, '')
+    .replace(/[#>*_~`|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Turn posts and projects into search documents
+ * @param {Blog[]} blogs - Normalized blogs
+ * @param {Project[]} projects - Normalized projects
+ * @returns {object[]} - [{ type, key, title, url, fields }]
+ */
+function toSearchDocuments(blogs, projects) {
+  return [
+    ...blogs.map(blog => ({
+      type: 'post',
+      key: blog.slug,
+      title: blog.title,
+      url: getPostPath(blog.slug),
+      fields: {
+        title: blog.title,
+        tags: blog.tags.join(' '),
+        summary: toSearchText(blog.summary),
+        content: toSearchText(blog.content),
+      },
+    })),
+    ...projects.map(project => ({
+      type: 'project',
+      key: project.slug,
+      title: project.title,
+      url: getProjectPath(project.slug),
+      fields: {
+        title: project.title,
+        tags: project.techStack.join(' '),
+        summary: toSearchText(project.shortDescription),
+        content: toSearchText(project.description),
+      },
+    })),
+  ];
+}
+
+/**
+ * Build the inverted index: word -> documents and how strongly they match
+ * @param {object[]} documents - Search documents
+ * @returns {object} - { signature, documents, terms: Map<word, [docIndex, weight, ...]> }
+ */
+function buildSearchIndex(documents) {
+  const terms = new Map();
+  
+  documents.forEach((entry, docIndex) => {
+    const weights = new Map();
+    
+    Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenizeSearchText(entry.fields[field]).forEach(word => {
+        weights.set(word, (weights.get(word) || 0) + weight);
+      });
+    });
+    
+    // Repeats count, but with diminishing returns
+    weights.forEach((weight, word) => {
+      if (!terms.has(word)) terms.set(word, []);
+      terms.get(word).push(docIndex, Math.round(Math.log2(1 + weight) * 100) / 100);
+    });
+  });
+  
+  return createSearchIndex(hashValue(documents), documents, terms);
+}
+
+/**
+ * Wrap index data with the word list used for fuzzy lookups
+ * @param {string} signature - Hash of the documents the index was built from
+ * @param {object[]} documents - Search documents
+ * @param {Map} terms - Postings by word
+ * @returns {object}
+ */
+function createSearchIndex(signature, documents, terms) {
+  return { signature, documents, terms, words: Array.from(terms.keys()) };
+}
+
+/**
+ * Index in a JSON-friendly form for the local cache
+ * Documents are left out - they come from the (separately cached) API data
+ * @param {object} index - Search index
+ * @returns {object}
+ */
+function serializeSearchIndex(index) {
+  return {
+    version: SEARCH_INDEX_VERSION,
+    signature: index.signature,
+    terms: Array.from(index.terms),
+  };
+}
+
+/**
+ * Restore a cached index if it was built from the same documents
+ * @param {object} cached - serializeSearchIndex output
+ * @param {object[]} documents - Current search documents
+ * @returns {object|null} - Search index, or null if it must be rebuilt
+ */
+function restoreSearchIndex(cached, documents) {
+  const signature = hashValue(documents);
+  if (!cached || cached.version !== SEARCH_INDEX_VERSION || cached.signature !== signature) return null;
+  if (!Array.isArray(cached.terms)) return null;
+  return createSearchIndex(signature, documents, new Map(cached.terms));
+}
+
+/**
+ * Index words that a query word may stand for
+ * Exact words first, then (for the word being typed) longer words starting
+ * with it, then words a typo or two away - one edit from 4 letters, two from 8
+ * @param {object} index - Search index
+ * @param {string} word - Normalized query word
+ * @param {boolean} isPrefix - Whether the word may still be incomplete
+ * @returns {Map<string, number>} - Index word -> score factor
+ */
+function expandSearchWord(index, word, isPrefix) {
+  const matches = new Map();
+  if (index.terms.has(word)) matches.set(word, 1);
+  
+  const maxDistance = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+  
+  index.words.forEach(candidate => {
+    if (matches.has(candidate)) return;
+    
+    if (isPrefix && word.length >= 2 && candidate.startsWith(word)) {
+      matches.set(candidate, SEARCH_PREFIX_FACTOR);
+      return;
+    }
+    
+    // Typos rarely hit the first letter, and checking it first keeps this fast
+    if (maxDistance === 0 || candidate[0] !== word[0] || Math.abs(candidate.length - word.length) > maxDistance) return;
+    
+    const distance = getEditDistance(word, candidate);
+    if (distance <= maxDistance) {
+      matches.set(candidate, SEARCH_TYPO_FACTORS[distance]);
+    }
+  });
+  
+  return matches;
+}
+
+/**
+ * Search the index
+ * Every query word must match (exactly, as a prefix or with a typo);
+ * rarer words and matches in titles and tags rank higher
+ * @param {object} index - Search index
+ * @param {string} query - Query as typed
+ * @param {number} limit - Maximum results
+ * @returns {object} - { results: [{ entry, score }], words: Set of matched index words }
+ */
+function searchIndex(index, query, limit = SEARCH_RESULT_LIMIT) {
+  const queryWords = Array.from(new Set(tokenizeSearchText(query)));
+  const words = new Set();
+  if (queryWords.length === 0) return { results: [], words };
+  
+  const totals = new Map();
+  const documentCount = index.documents.length;
+  
+  queryWords.forEach((queryWord, position) => {
+    const isPrefix = position === queryWords.length - 1 && !/\s$/.test(query);
+    const best = new Map();
+    
+    expandSearchWord(index, queryWord, isPrefix).forEach((factor, word) => {
+      const postings = index.terms.get(word);
+      const idf = Math.log(1 + documentCount / (postings.length / 2));
+      words.add(word);
+      
+      for (let i = 0; i < postings.length; i += 2) {
+        const score = postings[i + 1] * idf * factor;
+        best.set(postings[i], Math.max(best.get(postings[i]) || 0, score));
+      }
+    });
+    
+    best.forEach((score, docIndex) => {
+      const total = totals.get(docIndex) || { score: 0, matched: 0 };
+      totals.set(docIndex, { score: total.score + score, matched: total.matched + 1 });
+    });
+  });
+  
+  const results = Array.from(totals)
+    .filter(([, total]) => total.matched === queryWords.length)
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, limit)
+    .map(([docIndex, total]) => ({ entry: index.documents[docIndex], score: total.score }));
+  
+  return { results, words };
+}
+
+/**
+ * Escape text and wrap the matched words in <mark>
+ * @param {string} text - Plain text
+ * @param {Set<string>} words - Normalized words to highlight
+ * @returns {string} - HTML
+ */
+function highlightSearchWords(text, words) {
+  let html = '';
+  let last = 0;
+  
+  for (const match of String(text || '').matchAll(SEARCH_WORD)) {
+    if (!words.has(normalizeSearchWord(match[0]))) continue;
+    
+    html += `${escapeHTML(text.slice(last, match.index))}<mark>${escapeHTML(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  
+  return html + escapeHTML(String(text || '').slice(last));
+}
+
+/**
+ * Excerpt around the first matched word in the summary or content
+ * @param {object} entry - Search document
+ * @param {Set<string>} words - Matched index words
+ * @returns {string} - HTML with highlighted words
+ */
+function getSearchSnippet(entry, words) {
+  const { summary, content } = entry.fields;
+  
+  for (const text of [summary, content]) {
+    if (!text) continue;
+    
+    const match = Array.from(text.matchAll(SEARCH_WORD)).find(word => words.has(normalizeSearchWord(word[0])));
+    if (!match) continue;
+    
+    // Start a little before the match, on a word boundary
+    let start = Math.max(0, match.index - SEARCH_SNIPPET_LENGTH / 4);
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    
+    const excerpt = truncateText(text.slice(start), SEARCH_SNIPPET_LENGTH);
+    return `${start > 0 ? '...' : ''}${highlightSearchWords(excerpt, words)}`;
+  }
+  
+  return highlightSearchWords(truncateText(summary || content, SEARCH_SNIPPET_LENGTH), words);
+}
+
+/**
+ * Load posts and projects and build (or restore) the index
+ * Either list may fail on its own; search then covers the other one
+ * @returns {Promise<object|null>} - Search index, or null if nothing loaded
+ */
+async function loadSearchIndex() {
+  // The list page may have fetched these already - reuse them (memory) rather than refetch
+  const [blogsResponse, projectsResponse, textResponse] = await Promise.all([
+    fetchWithCache(CACHE_KEYS.blogs(), () => fetchBlogs({ memory: true }), CACHE_TTL.blogs),
+    fetchWithCache(CACHE_KEYS.projects(), () => fetchProjects({ memory: true }), CACHE_TTL.projects),
+    fetchWithCache(CACHE_KEYS.searchText(), () => fetchSearchText(), CACHE_TTL.blogs),
+  ]);
+  
+  if (!blogsResponse.success && !projectsResponse.success) {
+    console.warn('Could not load search data:', blogsResponse.error);
+    return null;
+  }
+  
+  // Without the post text, posts are still found by title, summary and tags
+  const postText = textResponse.success ? textResponse.data : {};
+  const toSearchBlogs = payload => toBlogs(payload).map(blog => ({
+    ...blog,
+    content: blog.content || postText[blog.slug] || '',
+  }));
+  
+  const sources = { blogs: blogsResponse.success ? toSearchBlogs(blogsResponse.data) : [] };
+  sources.projects = projectsResponse.success ? toProjects(projectsResponse.data) : [];
+  
+  // Rebuild once background revalidation brings newer data
+  subscribeToCache(CACHE_KEYS.blogs(), freshData => refreshSearchIndex({ ...sources, blogs: toSearchBlogs(freshData) }));
+  subscribeToCache(CACHE_KEYS.projects(), freshData => refreshSearchIndex({ ...sources, projects: toProjects(freshData) }));
+  
+  return getSearchIndex(sources);
+}
+
+/**
+ * Index for the given posts and projects, from the local cache if current
+ * @param {object} sources - { blogs, projects }
+ * @returns {object} - Search index
+ */
+function getSearchIndex({ blogs, projects }) {
+  const documents = toSearchDocuments(blogs, projects);
+  const cached = restoreSearchIndex(getCachedData(CACHE_KEYS.searchIndex()), documents);
+  if (cached) return cached;
+  
+  const index = buildSearchIndex(documents);
+  const serialized = serializeSearchIndex(index);
+  if (JSON.stringify(serialized).length <= SEARCH_CACHE_MAX_SIZE) {
+    setCachedData(CACHE_KEYS.searchIndex(), serialized, CACHE_TTL.search);
+  }
+  return index;
+}
+
+/**
+ * Swap in an index built from fresh data and re-run the current search
+ * @param {object} sources - { blogs, projects }
+ */
+function refreshSearchIndex(sources) {
+  searchState.index = getSearchIndex(sources);
+  if (searchState.query) {
+    renderSearch(searchState.query);
+  }
+}
+
+/**
+ * Load the index once, on first use
+ * @returns {Promise<object|null>}
+ */
+function ensureSearchIndex() {
+  if (!searchState.loading) {
+    searchState.loading = loadSearchIndex().then(index => {
+      searchState.index = index;
+      return index;
+    });
+  }
+  return searchState.loading;
+}
+
+/**
+ * Render one search result
+ * @param {object} entry - Search document
+ * @param {Set<string>} words - Matched index words
+ * @returns {string} - HTML
+ */
+function renderSearchResult(entry, words) {
+  const label = entry.type === 'post' ? 'Post' : 'Project';
+  const title = highlightSearchWords(entry.title, words);
+  
+  return `
+    <article class="glass-unified p-6 rounded-2xl shadow-md">
+      <p class="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">${label}</p>
+      <h3 class="text-xl font-semibold text-gray-900 mb-2">
+        ${entry.url
+          ? `<a href="${escapeHTML(entry.url)}" class="hover:text-gray-700 transition-colors">${title}</a>`
+          : title}
+      </h3>
+      <p class="text-gray-700 leading-relaxed">${getSearchSnippet(entry, words)}</p>
+    </article>
+  `;
+}
+
+/**
+ * Show results for a query, or the regular page content if it is empty
+ * @param {string} query - Query as typed
+ */
+async function renderSearch(query) {
+  const results = document.getElementById('search-results');
+  const status = document.getElementById('search-status');
+  if (!results || !status) return;
+  
+  searchState.query = query.trim();
+  const active = searchState.query !== '';
+  
+  results.hidden = !active;
+  document.querySelectorAll('[data-search-hide]').forEach(element => {
+    element.hidden = active;
+  });
+  
+  if (!active) {
+    results.innerHTML = '';
+    status.textContent = '';
+    return;
+  }
+  
+  if (!searchState.index) {
+    status.textContent = 'Loading search...';
+    await ensureSearchIndex();
+    
+    // The reader may have typed on while the index loaded
+    if (searchState.query !== query.trim()) return;
+  }
+  
+  if (!searchState.index) {
+    status.textContent = 'Search is unavailable right now. Please try again later.';
+    return;
+  }
+  
+  const { results: matches, words } = searchIndex(searchState.index, query);
+  status.textContent = matches.length === 0
+    ? `No posts or projects match "${searchState.query}".`
+    : `${matches.length}${matches.length === SEARCH_RESULT_LIMIT ? '+' : ''} result${matches.length === 1 ? '' : 's'}`;
+  results.innerHTML = matches.map(match => renderSearchResult(match.entry, words)).join('');
+}
+
+/**
+ * Keep the query in the URL so searches can be shared and survive reloads
+ * @param {string} query - Query as typed
+ */
+function writeSearchParam(query) {
+  const params = new URLSearchParams(window.location.search);
+  if (query.trim()) {
+    params.set(SEARCH_PARAM, query.trim());
+  } else {
+    params.delete(SEARCH_PARAM);
+  }
+  
+  const search = params.toString();
+  history.replaceState(history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+}
+
+/**
+ * Wire up the search box on the page
+ * The index loads on first focus, or right away for a ?q= in the URL
+ */
+function setupSearch() {
+  const input = document.getElementById('site-search');
+  if (!input) return;
+  
+  const update = debounce(() => {
+    writeSearchParam(input.value);
+    renderSearch(input.value);
+  }, SEARCH_DEBOUNCE);
+  
+  input.addEventListener('input', update);
+  input.addEventListener('focus', ensureSearchIndex, { once: true });
+  input.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && input.value) {
+      input.value = '';
+      update();
+    }
+  });
+  
+  const query = new URLSearchParams(window.location.search).get(SEARCH_PARAM) || '';
+  if (query) {
+    input.value = query;
+    renderSearch(query);
+  }
+}
+
+// Set up search when DOM is ready (build scripts load this file without a DOM)
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupSearch);
+  } else {
+    setupSearch();
+  }
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    tokenizeSearchText,
+    toSearchText,
+    toSearchDocuments,
+    buildSearchIndex,
+    serializeSearchIndex,
+    restoreSearchIndex,
+    searchIndex,
+    highlightSearchWords,
+    getSearchSnippet,
+  };
+}
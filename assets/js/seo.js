@@ -0,0 +1,341 @@
+/**
+ * seo.js - Page Metadata and Structured Data
+ * Keeps the description, canonical URL, OpenGraph/Twitter tags and JSON-LD
+ * in sync with whatever the page has rendered. The builders are pure so
+ * build scripts can emit the same data into static HTML.
+ */
+
+const SITE_URL = 'https://shashankpandey.xyz';
+const SITE_NAME = 'Shashank Pandey';
+const SITE_AUTHOR = {
+  '@type': 'Person',
+  name: 'Shashank Pandey',
+  url: SITE_URL,
+  sameAs: [
+    'https://github.com/shashankpandey04',
+    'https://www.linkedin.com/in/shashankpandey04',
+  ],
+};
+const SITE_DEFAULT_IMAGE = `${SITE_URL}/static/img/shashank.jpg`;
+
+// Search engines cut descriptions off around here
+const META_DESCRIPTION_LENGTH = 160;
+
+/**
+ * Canonical URL of a blog post
+ * @param {string} slug - Blog slug
+ * @returns {string}
+ */
+function getCanonicalPostUrl(slug) {
+  return `${SITE_URL}/blog/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Canonical URL of a project's detail page
+ * @param {string} slug - Project slug
+ * @returns {string}
+ */
+function getCanonicalProjectUrl(slug) {
+  return `${SITE_URL}/projects/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Make a possibly relative URL absolute against the site
+ * @param {string|null} url - URL or path
+ * @returns {string|null}
+ */
+function toAbsoluteUrl(url) {
+  if (!url) return null;
+  try {
+    return new URL(url, `${SITE_URL}/`).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Plain-text description from a summary or Markdown body
+ * @param {string} text - Summary or Markdown
+ * @returns {string} - At most META_DESCRIPTION_LENGTH characters
+ */
+function toMetaDescription(text) {
+  const plain = String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[#>*_`~|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  if (plain.length <= META_DESCRIPTION_LENGTH) return plain;
+  return plain.slice(0, META_DESCRIPTION_LENGTH - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+/**
+ * Page metadata for a blog post
+ * @param {Blog} blog - Normalized blog (see models.js)
+ * @returns {object} - Input for applyPageMeta
+ */
+function getBlogPageMeta(blog) {
+  return {
+    title: `${blog.title} - ${SITE_NAME}`,
+    description: toMetaDescription(blog.summary || blog.content),
+    url: getCanonicalPostUrl(blog.slug),
+    image: toAbsoluteUrl(blog.coverImage) || SITE_DEFAULT_IMAGE,
+    type: 'article',
+    publishedTime: blog.publishedAt ? blog.publishedAt.toISOString() : null,
+    modifiedTime: blog.updatedAt ? blog.updatedAt.toISOString() : null,
+    tags: blog.tags,
+  };
+}
+
+/**
+ * Page metadata for a project's detail page
+ * @param {Project} project - Normalized project (see models.js)
+ * @returns {object} - Input for applyPageMeta
+ */
+function getProjectPageMeta(project) {
+  return {
+    title: `${project.title} - ${SITE_NAME}`,
+    description: toMetaDescription(project.shortDescription || project.description),
+    url: getCanonicalProjectUrl(project.slug),
+    image: toAbsoluteUrl(project.images[0]?.url) || SITE_DEFAULT_IMAGE,
+    type: 'website',
+    tags: project.techStack,
+  };
+}
+
+/**
+ * schema.org BlogPosting for a post
+ * @param {Blog} blog - Normalized blog (see models.js)
+ * @returns {object} - JSON-LD
+ */
+function buildBlogPostingData(blog) {
+  const url = getCanonicalPostUrl(blog.slug);
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: blog.title,
+    description: toMetaDescription(blog.summary || blog.content),
+    url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    image: toAbsoluteUrl(blog.coverImage) || SITE_DEFAULT_IMAGE,
+    author: SITE_AUTHOR,
+    publisher: SITE_AUTHOR,
+  };
+  
+  if (blog.publishedAt) data.datePublished = blog.publishedAt.toISOString();
+  if (blog.updatedAt || blog.publishedAt) data.dateModified = (blog.updatedAt || blog.publishedAt).toISOString();
+  if (blog.tags.length > 0) data.keywords = blog.tags.join(', ');
+  if (blog.content) data.wordCount = (blog.content.match(/\S+/g) || []).length;
+  
+  return data;
+}
+
+/**
+ * schema.org SoftwareSourceCode for a project
+ * @param {Project} project - Normalized project (see models.js)
+ * @returns {object} - JSON-LD node (without @context)
+ */
+function buildProjectItem(project) {
+  const item = {
+    '@type': 'SoftwareSourceCode',
+    name: project.title,
+    description: toMetaDescription(project.shortDescription || project.description),
+    url: getCanonicalProjectUrl(project.slug),
+    author: SITE_AUTHOR,
+  };
+  
+  if (project.githubUrl) item.codeRepository = project.githubUrl;
+  if (project.liveUrl) item.sameAs = project.liveUrl;
+  if (project.techStack.length > 0) item.programmingLanguage = project.techStack;
+  if (project.createdAt) item.dateCreated = project.createdAt.toISOString();
+  if (project.images.length > 0) item.image = project.images.map(image => toAbsoluteUrl(image.url)).filter(Boolean);
+  
+  return item;
+}
+
+/**
+ * schema.org SoftwareSourceCode for a project's detail page
+ * @param {Project} project - Normalized project (see models.js)
+ * @returns {object} - JSON-LD
+ */
+function buildProjectData(project) {
+  return { '@context': 'https://schema.org', ...buildProjectItem(project) };
+}
+
+/**
+ * schema.org ItemList of SoftwareSourceCode for the projects page
+ * @param {Project[]} projects - Normalized projects (see models.js)
+ * @param {string} url - Page URL
+ * @returns {object} - JSON-LD
+ */
+function buildProjectListData(projects, url = `${SITE_URL}/projects/`) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ItemList',
+    name: `Projects by ${SITE_NAME}`,
+    url,
+    numberOfItems: projects.length,
+    itemListElement: projects.map((project, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      item: buildProjectItem(project),
+    })),
+  };
+}
+
+/**
+ * Create or update a <meta> tag
+ * @param {string} attribute - 'name' or 'property'
+ * @param {string} key - e.g. 'description', 'og:title'
+ * @param {string|null} content - Value (null removes the tag)
+ */
+function setMetaTag(attribute, key, content) {
+  let tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+  
+  if (!content) {
+    tag?.remove();
+    return;
+  }
+  if (!tag) {
+    tag = document.createElement('meta');
+    tag.setAttribute(attribute, key);
+    document.head.appendChild(tag);
+  }
+  tag.setAttribute('content', content);
+}
+
+/**
+ * Create or update the canonical link
+ * @param {string} url - Canonical URL
+ */
+function setCanonicalUrl(url) {
+  let link = document.head.querySelector('link[rel="canonical"]');
+  if (!link) {
+    link = document.createElement('link');
+    link.rel = 'canonical';
+    document.head.appendChild(link);
+  }
+  link.href = url;
+}
+
+/**
+ * Meta tags for a page as [attribute, key, content]
+ * article:tag is handled separately since it repeats once per tag
+ * @param {object} meta - See applyPageMeta
+ * @returns {Array} - Tags in head order (content may be null)
+ */
+function getMetaTags(meta) {
+  return [
+    ['name', 'description', meta.description],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:type', meta.type || 'website'],
+    ['property', 'og:title', meta.title],
+    ['property', 'og:description', meta.description],
+    ['property', 'og:url', meta.url],
+    ['property', 'og:image', meta.image || SITE_DEFAULT_IMAGE],
+    ['property', 'article:published_time', meta.publishedTime],
+    ['property', 'article:modified_time', meta.modifiedTime],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:title', meta.title],
+    ['name', 'twitter:description', meta.description],
+    ['name', 'twitter:image', meta.image || SITE_DEFAULT_IMAGE],
+  ];
+}
+
+/**
+ * Apply title, description, canonical, OpenGraph and Twitter tags
+ * @param {object} meta - { title, description, url, image, type,
+ *   publishedTime, modifiedTime, tags }
+ */
+function applyPageMeta(meta) {
+  document.title = meta.title;
+  setCanonicalUrl(meta.url);
+  getMetaTags(meta).forEach(([attribute, key, content]) => setMetaTag(attribute, key, content));
+  
+  document.head.querySelectorAll('meta[property="article:tag"]').forEach(tag => tag.remove());
+  (meta.tags || []).forEach(tag => {
+    const element = document.createElement('meta');
+    element.setAttribute('property', 'article:tag');
+    element.setAttribute('content', tag);
+    document.head.appendChild(element);
+  });
+}
+
+/**
+ * Render the tags applyPageMeta sets, for static HTML
+ * @param {object} meta - See applyPageMeta
+ * @returns {string} - <title>, canonical link and <meta> tags
+ */
+function renderPageMeta(meta) {
+  const tags = [
+    `<title>${escapeHTML(meta.title)}</title>`,
+    `<link rel="canonical" href="${escapeHTML(meta.url)}">`,
+  ];
+  
+  getMetaTags(meta).forEach(([attribute, key, content]) => {
+    if (content) tags.push(`<meta ${attribute}="${key}" content="${escapeHTML(content)}">`);
+  });
+  (meta.tags || []).forEach(tag => {
+    tags.push(`<meta property="article:tag" content="${escapeHTML(tag)}">`);
+  });
+  
+  return tags.join('\n  ');
+}
+
+/**
+ * Serialize JSON-LD so it is safe inside a <script> element
+ * @param {object} data - JSON-LD
+ * @returns {string}
+ */
+function serializeStructuredData(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Render a JSON-LD block, for static HTML
+ * @param {string} id - Element id, matching later setStructuredData calls
+ * @param {object} data - JSON-LD
+ * @returns {string} - <script> element
+ */
+function renderStructuredData(id, data) {
+  return `<script type="application/ld+json" id="${id}">${serializeStructuredData(data)}</script>`;
+}
+
+/**
+ * Create or replace a JSON-LD block in <head>
+ * @param {string} id - Element id, so re-renders replace instead of append
+ * @param {object} data - JSON-LD
+ */
+function setStructuredData(id, data) {
+  let script = document.getElementById(id);
+  if (!script) {
+    script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = id;
+    document.head.appendChild(script);
+  }
+  script.textContent = serializeStructuredData(data);
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SITE_URL,
+    getCanonicalPostUrl,
+    getCanonicalProjectUrl,
+    toMetaDescription,
+    getBlogPageMeta,
+    buildBlogPostingData,
+    getProjectPageMeta,
+    buildProjectData,
+    buildProjectListData,
+    serializeStructuredData,
+    applyPageMeta,
+    renderPageMeta,
+    setStructuredData,
+    renderStructuredData,
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * share.js - Share Panel for Blog Posts
+ * Native Web Share where available, copy-link with toast feedback,
+ * X / LinkedIn / email intents, and deep links to a selected passage.
+ * Shared links always use the canonical URL from seo.js.
+ */
+
+// Selections shorter than this are ignored (stray clicks, double-clicked words)
+const SHARE_MIN_SELECTION = 12;
+
+// Long passages are linked by their first and last few words
+const SHARE_FRAGMENT_EDGE_WORDS = 5;
+
+// Floating "share this passage" button and the post it belongs to
+let selectionShare = null;
+
+/**
+ * Encode text for a text fragment directive (#:~:text=)
+ * Dashes, commas and ampersands are syntax there, so they must be escaped
+ * @param {string} text - Text to encode
+ * @returns {string}
+ */
+function encodeFragmentText(text) {
+  return encodeURIComponent(text).replace(/-/g, '%2D');
+}
+
+/**
+ * Build a link that scrolls to and highlights a passage
+ * @param {string} url - Post URL
+ * @param {string} text - Selected passage
+ * @returns {string} - URL with a text fragment
+ */
+function buildTextFragmentUrl(url, text) {
+  const words = text.replace(/\s+/g, ' ').trim().split(' ');
+  
+  const directive = words.length > SHARE_FRAGMENT_EDGE_WORDS * 2
+    ? `${encodeFragmentText(words.slice(0, SHARE_FRAGMENT_EDGE_WORDS).join(' '))},${encodeFragmentText(words.slice(-SHARE_FRAGMENT_EDGE_WORDS).join(' '))}`
+    : encodeFragmentText(words.join(' '));
+  
+  return `${url}#:~:text=${directive}`;
+}
+
+/**
+ * Share intent URLs for the supported networks
+ * @param {string} url - URL to share
+ * @param {string} title - Post title
+ * @returns {object} - { x, linkedin, email }
+ */
+function getShareIntents(url, title) {
+  const encodedUrl = encodeURIComponent(url);
+  const encodedTitle = encodeURIComponent(title);
+  
+  return {
+    x: `https://x.com/intent/tweet?text=${encodedTitle}&url=${encodedUrl}`,
+    linkedin: `https://www.linkedin.com/sharing/share-offsite/?url=${encodedUrl}`,
+    email: `mailto:?subject=${encodedTitle}&body=${encodeURIComponent(`${title}\n\n${url}`)}`,
+  };
+}
+
+/**
+ * Open the native share sheet
+ * @param {object} data - { title, text, url }
+ * @returns {Promise<boolean>} - false if sharing is unsupported or failed
+ */
+async function shareNatively(data) {
+  if (!navigator.share) return false;
+  
+  try {
+    await navigator.share(data);
+    return true;
+  } catch (error) {
+    // Closing the share sheet is not a failure
+    if (error.name === 'AbortError') return true;
+    console.warn('Web Share failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Copy a link and confirm with a toast
+ * @param {string} url - URL to copy
+ * @param {string} message - Toast shown on success
+ */
+async function copyShareLink(url, message = 'Link copied to clipboard.') {
+  const copied = await copyToClipboard(url);
+  showToast(copied ? message : 'Could not copy the link. Please copy it from the address bar.', { duration: 3000 });
+}
+
+/**
+ * Render the share panel markup
+ * @param {Blog} blog - Normalized blog (see models.js)
+ * @returns {string} - HTML
+ */
+function renderSharePanel(blog) {
+  const intents = getShareIntents(getCanonicalPostUrl(blog.slug), blog.title);
+  const buttonClass = 'inline-flex items-center px-3 py-2 text-sm font-medium bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition-colors';
+  
+  return `
+    <div class="flex flex-wrap items-center gap-2" data-share-panel>
+      <span class="text-sm text-gray-500 mr-1">Share</span>
+      <button type="button" data-share="native" class="${buttonClass}" hidden>Share…</button>
+      <button type="button" data-share="copy" class="${buttonClass}">Copy link</button>
+      <a href="${escapeHTML(intents.x)}" target="_blank" rel="noopener noreferrer" class="${buttonClass}">X</a>
+      <a href="${escapeHTML(intents.linkedin)}" target="_blank" rel="noopener noreferrer" class="${buttonClass}">LinkedIn</a>
+      <a href="${escapeHTML(intents.email)}" class="${buttonClass}">Email</a>
+    </div>
+  `;
+}
+
+/**
+ * Wire up the share panel and passage sharing for a rendered post
+ * @param {HTMLElement} container - Container holding the rendered post
+ * @param {Blog} blog - Normalized blog (see models.js)
+ */
+function setupSharePanel(container, blog) {
+  const panel = container.querySelector('[data-share-panel]');
+  if (!panel) return;
+  
+  const url = getCanonicalPostUrl(blog.slug);
+  const nativeButton = panel.querySelector('[data-share="native"]');
+  
+  if (navigator.share) {
+    nativeButton.hidden = false;
+    nativeButton.addEventListener('click', async () => {
+      const shared = await shareNatively({ title: blog.title, text: blog.summary, url });
+      if (!shared) copyShareLink(url);
+    });
+  }
+  
+  panel.querySelector('[data-share="copy"]').addEventListener('click', () => copyShareLink(url));
+  
+  setupSelectionShare(container.querySelector('.prose'), blog);
+}
+
+/**
+ * Create the floating passage-share button (once per page)
+ * @returns {HTMLButtonElement}
+ */
+function createSelectionShareButton() {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'fixed z-40 hidden -translate-x-1/2 px-3 py-1.5 text-sm font-medium bg-gray-900 text-white rounded-lg shadow-lg hover:bg-gray-800 transition-colors';
+  button.textContent = 'Share passage';
+  
+  // Keep the selection alive when the button is pressed
+  button.addEventListener('mousedown', event => event.preventDefault());
+  button.addEventListener('click', shareSelectedPassage);
+  
+  document.body.appendChild(button);
+  document.addEventListener('selectionchange', debounce(updateSelectionShare, 150));
+  window.addEventListener('scroll', () => button.classList.add('hidden'), { passive: true });
+  
+  return button;
+}
+
+/**
+ * Offer a "share passage" button for text selected inside a post
+ * @param {HTMLElement} content - Rendered post body
+ * @param {Blog} blog - Normalized blog (see models.js)
+ */
+function setupSelectionShare(content, blog) {
+  if (!content || typeof window.getSelection !== 'function') return;
+  
+  if (!selectionShare) {
+    selectionShare = { button: createSelectionShareButton() };
+  }
+  selectionShare.content = content;
+  selectionShare.blog = blog;
+}
+
+/**
+ * Show or hide the passage button to match the current selection
+ */
+function updateSelectionShare() {
+  const { button, content } = selectionShare;
+  const selection = window.getSelection();
+  const text = selection.toString().trim();
+  
+  if (selection.rangeCount === 0 || text.length < SHARE_MIN_SELECTION ||
+      !content.isConnected || !content.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+    button.classList.add('hidden');
+    return;
+  }
+  
+  const rect = selection.getRangeAt(0).getBoundingClientRect();
+  button.style.top = `${Math.max(rect.top - 44, 72)}px`;
+  button.style.left = `${rect.left + rect.width / 2}px`;
+  button.classList.remove('hidden');
+}
+
+/**
+ * Share a deep link to the selected passage
+ */
+async function shareSelectedPassage() {
+  const { button, blog } = selectionShare;
+  const text = window.getSelection().toString().trim();
+  button.classList.add('hidden');
+  if (!text) return;
+  
+  const url = buildTextFragmentUrl(getCanonicalPostUrl(blog.slug), text);
+  const shared = await shareNatively({ title: blog.title, text: `“${text}”`, url });
+  
+  if (!shared) {
+    copyShareLink(url, 'Link to this passage copied.');
+  }
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildTextFragmentUrl,
+    getShareIntents,
+    renderSharePanel,
+    setupSharePanel,
+  };
+}
@@ -71,17 +71,88 @@ function showEmptyState(container, message = 'No items found.') {
   `;
 }
 
+/**
+ * Heading of a "not found" page
+ * @param {string} noun - What was not found ('post')
+ * @returns {string} - e.g. 'Post not found'
+ */
+function getNotFoundTitle(noun) {
+  return `${noun.charAt(0).toUpperCase()}${noun.slice(1)} not found`;
+}
+
+/**
+ * Render the "not found" page of a post or project
+ * @param {object} options - Page details
+ * @param {string} options.noun - What was not found ('post', 'project')
+ * @param {string} options.slug - Slug that was not found
+ * @param {string} options.listPath - Page listing every item
+ * @param {object[]} options.suggestions - Items the reader may have meant
+ * @param {Function} options.renderCard - Item -> link card HTML
+ * @returns {string} - HTML
+ */
+function renderNotFoundPage({ noun, slug, listPath, suggestions = [], renderCard }) {
+  return `
+    <div class="max-w-2xl mx-auto text-center py-12">
+      <p class="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-3">404</p>
+      <h1 class="text-4xl font-bold text-gray-900 mb-4">${getNotFoundTitle(noun)}</h1>
+      <p class="text-gray-600 mb-10">
+        There is no ${noun} at <span class="font-mono text-gray-900">${escapeHTML(slug)}</span>. It may have been renamed or removed.
+      </p>
+      ${suggestions.length > 0 ? `
+        <div class="text-left mb-10">
+          <h2 class="text-lg font-semibold text-gray-900 mb-4">Did you mean</h2>
+          <div class="grid gap-4">
+            ${suggestions.map(renderCard).join('')}
+          </div>
+        </div>
+      ` : ''}
+      <a href="${listPath}"
+         class="inline-block bg-gray-900 text-white px-6 py-3 rounded-xl text-sm font-medium hover:bg-gray-800 transition-colors">
+        Browse all ${noun}s
+      </a>
+    </div>
+  `;
+}
+
+/**
+ * Show the "not found" page of a post or project, then suggest items with a similar slug
+ * @param {HTMLElement} container - Container element
+ * @param {object} options - renderNotFoundPage options, plus loadItems: loads
+ *   the items to suggest from and resolves to them, or to null on failure
+ */
+async function showNotFoundPage(container, { loadItems, ...options }) {
+  document.title = `${getNotFoundTitle(options.noun)} - ${SITE_NAME}`;
+  setMetaTag('name', 'robots', 'noindex');
+  container.innerHTML = renderNotFoundPage(options);
+  
+  const items = await loadItems();
+  if (!items) return;
+  
+  const suggestions = findSimilarSlugs(options.slug, items.map(item => item.slug))
+    .map(similar => items.find(item => item.slug === similar));
+  
+  if (suggestions.length > 0) {
+    container.innerHTML = renderNotFoundPage({ ...options, suggestions });
+  }
+}
+
 /**
  * Escape HTML to prevent XSS attacks
+ * Quotes are escaped too, so the result is safe inside attribute values
  * @param {string} str - String to escape
  * @returns {string} - Escaped string
  */
 function escapeHTML(str) {
   if (!str) return '';
   
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(str).replace(/[&<>"']/g, m => map[m]);
 }
 
 /**
@@ -97,6 +168,15 @@ function formatDate(dateString) {
   return date.toLocaleDateString('en-US', options);
 }
 
+/**
+ * Format a reading time for display
+ * @param {number|null} minutes - Reading time in minutes
+ * @returns {string} - e.g. "5 min read", or '' when unknown
+ */
+function formatReadingTime(minutes) {
+  return minutes ? `${minutes} min read` : '';
+}
+
 /**
  * Truncate text to a specific length
  * @param {string} text - Text to truncate
@@ -148,17 +228,256 @@ function debounce(func, wait = 300) {
   };
 }
 
+/**
+ * Build a user-facing message for a failed API result
+ * @param {object} result - Failed result from fetchAPI ({ status, category })
+ * @param {string} resource - What was being loaded (e.g. 'blog posts')
+ * @returns {string} - Message suited to the error category
+ */
+function getAPIErrorMessage(result, resource = 'data') {
+  switch (result?.category) {
+    case 'timeout':
+      return `Loading ${resource} took too long. The server may be waking up - please try again in a moment.`;
+    case 'network':
+      return `Couldn't reach the server to load ${resource}. Check your connection and try again.`;
+    case 'client':
+      return result.status === 404
+        ? `The requested ${resource} could not be found.`
+        : `The request for ${resource} was rejected (HTTP ${result.status}).`;
+    case 'server':
+      return `The server had a problem loading ${resource}. Please try again later.`;
+    default:
+      return `Failed to load ${resource}. Please try again later.`;
+  }
+}
+
+/**
+ * Show an escalating loading message while the backend wakes from a cold start
+ * Ends in a failure message with a retry button if waking times out,
+ * aborting the pending request through the given controller as a timeout
+ * (so the API layer can still fall back to a snapshot)
+ * @param {HTMLElement} container - Container holding the loading message
+ * @param {string} resource - What is being loaded (e.g. 'blogs')
+ * @param {AbortController} controller - Controller of the pending request
+ * @returns {Function} - Stops tracking; call once the request settles
+ */
+function showWakeProgress(container, resource, controller) {
+  if (!container) return () => {};
+  
+  let stopped = false;
+  
+  const unsubscribe = onWakeProgress(({ status, elapsed }) => {
+    if (stopped) return;
+    const seconds = Math.round(elapsed / 1000);
+    
+    if (status === WAKE_STATUS.FAILED) {
+      stopped = true;
+      controller?.abort(new DOMException('Backend did not wake up in time', 'TimeoutError'));
+      container.innerHTML = `
+        <div class="col-span-full text-center">
+          <p class="text-red-500 mb-4">The server didn't wake up after ${seconds}s, so ${escapeHTML(resource)} couldn't be loaded.</p>
+          <button onclick="location.reload()"
+                  class="bg-gray-900 text-white px-6 py-2 rounded-lg hover:bg-gray-800 transition-colors">
+            Try again
+          </button>
+        </div>
+      `;
+      return;
+    }
+    
+    // Keep the plain loading message for warm servers
+    if (status !== WAKE_STATUS.WAKING || seconds < 3) return;
+    
+    const message = seconds < 20
+      ? `Waking up the server… ${seconds}s`
+      : `Still waking up the server… ${seconds}s (free-tier cold starts can take up to a minute)`;
+    container.innerHTML = `<p class="col-span-full text-center text-gray-500">${message}</p>`;
+  });
+  
+  return () => {
+    stopped = true;
+    unsubscribe();
+  };
+}
+
+/**
+ * Short, stable hash of a value's JSON form (djb2)
+ * @param {*} value - Any JSON-serializable value
+ * @returns {string} - Base-36 hash
+ */
+function hashValue(value) {
+  const json = JSON.stringify(value) || '';
+  let hash = 5381;
+  for (let i = 0; i < json.length; i++) {
+    hash = ((hash << 5) + hash + json.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Patch a keyed list in place
+ * Reuses existing nodes whose item is unchanged so they are not re-rendered
+ * (or re-animated), and only builds nodes for new or changed items
+ * @param {HTMLElement} container - List container
+ * @param {Array} items - Items to show, in display order
+ * @param {Function} keyOf - Returns the identity key of an item (slug or id)
+ * @param {Function} renderItem - Returns the HTML string for (item, index)
+ */
+function patchKeyedList(container, items, keyOf, renderItem) {
+  if (!container) return;
+  
+  const existing = new Map();
+  Array.from(container.children).forEach(child => {
+    if (child.dataset.key) {
+      existing.set(child.dataset.key, child);
+    }
+  });
+  
+  const nodes = items.map((item, index) => {
+    const key = String(keyOf(item));
+    const signature = hashValue(item);
+    const current = existing.get(key);
+    
+    if (current && current.dataset.signature === signature) {
+      existing.delete(key);
+      return current;
+    }
+    
+    const template = document.createElement('template');
+    template.innerHTML = renderItem(item, index).trim();
+    const node = template.content.firstElementChild;
+    node.dataset.key = key;
+    node.dataset.signature = signature;
+    return node;
+  });
+  
+  // Drop placeholders and nodes for removed items, then (re)order
+  Array.from(container.children).forEach(child => {
+    if (!nodes.includes(child)) {
+      child.remove();
+    }
+  });
+  nodes.forEach(node => container.appendChild(node));
+}
+
+/**
+ * Render a keyed list as an HTML string, for static HTML
+ * Items carry the same key and signature patchKeyedList sets, so patching
+ * the list later leaves the unchanged ones in place
+ * @param {Array} items - Items to show, in display order
+ * @param {Function} keyOf - Returns the identity key of an item (slug or id)
+ * @param {Function} renderItem - Returns the HTML string for (item, index)
+ * @returns {string}
+ */
+function renderKeyedList(items, keyOf, renderItem) {
+  return items.map((item, index) => {
+    const attributes = `data-key="${escapeHTML(String(keyOf(item)))}" data-signature="${hashValue(item)}"`;
+    return renderItem(item, index).trim().replace(/^<([a-zA-Z][\w-]*)/, `<$1 ${attributes}`);
+  }).join('\n');
+}
+
+/**
+ * Read JSON embedded in the page by a build script
+ * @param {string} id - Id of a <script type="application/json"> element
+ * @returns {*} - Parsed data, or null if missing or invalid
+ */
+function readEmbeddedData(id) {
+  const script = document.getElementById(id);
+  if (!script) return null;
+  
+  try {
+    return JSON.parse(script.textContent);
+  } catch (error) {
+    console.warn(`Invalid embedded data in #${id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Show a transient toast notification
+ * @param {string} message - Message to display
+ * @param {object} options - { actionLabel, onAction, duration }
+ */
+function showToast(message, { actionLabel, onAction, duration = 8000 } = {}) {
+  const existing = document.getElementById('toast');
+  if (existing) existing.remove();
+  
+  const toast = document.createElement('div');
+  toast.id = 'toast';
+  toast.setAttribute('role', 'status');
+  toast.className = 'fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-gray-900 text-white px-5 py-3 rounded-xl shadow-xl text-sm';
+  toast.innerHTML = `<span>${escapeHTML(message)}</span>`;
+  
+  if (actionLabel && onAction) {
+    const button = document.createElement('button');
+    button.className = 'font-semibold underline hover:text-gray-300 transition-colors';
+    button.textContent = actionLabel;
+    button.addEventListener('click', () => {
+      toast.remove();
+      onAction();
+    });
+    toast.appendChild(button);
+  }
+  
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), duration);
+}
+
+/**
+ * Copy text to the clipboard
+ * Falls back to a hidden textarea where the Clipboard API is unavailable
+ * (e.g. pages served over plain http)
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} - Whether the copy succeeded
+ */
+async function copyToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (error) {
+      console.warn('Clipboard API copy failed, trying fallback:', error);
+    }
+  }
+  
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  
+  try {
+    return document.execCommand('copy');
+  } catch {
+    return false;
+  } finally {
+    textarea.remove();
+  }
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     showLoadingSkeleton,
     showError,
     showEmptyState,
+    renderNotFoundPage,
+    showNotFoundPage,
     escapeHTML,
     formatDate,
+    formatReadingTime,
     truncateText,
     getQueryParam,
     smoothScrollTo,
     debounce,
+    getAPIErrorMessage,
+    showWakeProgress,
+    patchKeyedList,
+    renderKeyedList,
+    readEmbeddedData,
+    showToast,
+    copyToClipboard,
   };
 }
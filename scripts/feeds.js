@@ -0,0 +1,548 @@
+#!/usr/bin/env node
+/**
+ * feeds.js - RSS, Atom and JSON Feed for the Blog
+ * Reads posts the way fetchBlogs and fetchBlogBySlug do, renders their
+ * Markdown with the site's own pipeline and writes three feeds:
+ *   feed.xml    RSS 2.0
+ *   atom.xml    Atom 1.0
+ *   feed.json   JSON Feed 1.1
+ * Every feed is checked against its format before anything is written,
+ * so a broken feed fails the build instead of reaching feed readers.
+ * Links and images in post content are made absolute, since feed readers
+ * show posts away from the site.
+ * The deploy workflow (.github/workflows/deploy.yml) runs this into the site
+ * root; the output is not committed.
+ *
+ * Usage:
+ *   node scripts/feeds.js                     # production API
+ *   node scripts/feeds.js --api <baseUrl>     # any API, e.g. http://127.0.0.1:4010/v1
+ *   node scripts/feeds.js --mock [--out dir]  # local mock server serving fixtures/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { SAFE_SLUG, getJSON } = require('./snapshot');
+const { loadPageScripts } = require('./prerender');
+const { startMockServer } = require('./mock-api-server');
+
+const DEFAULT_API = 'https://api-shashankpandey-xyz.onrender.com/v1';
+const SITE_DIR = path.join(__dirname, '..');
+
+// Newest posts included in each feed
+const FEED_ITEM_LIMIT = 20;
+
+const FEED_FILES = {
+  rss: 'feed.xml',
+  atom: 'atom.xml',
+  json: 'feed.json',
+};
+
+const FEED_TITLE = 'Shashank Pandey - Blog';
+const FEED_DESCRIPTION = 'Articles by Shashank Pandey on backend development, AWS and cloud infrastructure.';
+
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+
+// RFC 3339 date-time, as Atom requires
+const RFC3339_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// RFC 822 date, as RSS requires ("Thu, 08 Jan 2026 10:00:00 GMT")
+const RFC822_DATE = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4} \d{2}:\d{2}:\d{2} (GMT|[+-]\d{4})$/;
+
+/**
+ * Read a --flag value from argv
+ */
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeXML(text) {
+  return String(text ?? '')
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Point relative links and images in post HTML at the site
+ * In-page links (#fn-1) point into the post itself.
+ * @param {string} html - Rendered post HTML
+ * @param {string} postUrl - Absolute post URL
+ * @returns {string}
+ */
+function toAbsoluteLinks(html, postUrl) {
+  return html.replace(/\b(href|src)="([^"]*)"/g, (match, attribute, url) => {
+    try {
+      return `${attribute}="${new URL(url.replace(/&amp;/g, '&'), postUrl).href.replace(/&/g, '&amp;')}"`;
+    } catch {
+      return match;
+    }
+  });
+}
+
+/**
+ * Post HTML for feed readers
+ * Drops the page's controls (code copy buttons) and makes links absolute
+ * @param {string} html - renderMarkdown output
+ * @param {string} postUrl - Absolute post URL
+ * @returns {string}
+ */
+function toFeedHTML(html, postUrl) {
+  return toAbsoluteLinks(html.replace(/\s*<button\b[^>]*>[\s\S]*?<\/button>/g, ''), postUrl);
+}
+
+/**
+ * Site URL and author from seo.js
+ * Top-level consts are not properties of the script context, so read
+ * them from inside it
+ * @param {object} page - Context from loadPageScripts
+ * @returns {object} - { url, author: { name, url } }
+ */
+function getSiteInfo(page) {
+  return vm.runInContext('({ url: SITE_URL, author: { name: SITE_AUTHOR.name, url: SITE_AUTHOR.url } })', page);
+}
+
+/**
+ * Build the feed entries, newest first
+ * @param {object} page - Context from loadPageScripts (blog.html)
+ * @param {Blog[]} blogs - Posts with content, normalized
+ * @returns {object[]} - { id, url, title, summary, html, tags, published, updated, image }
+ */
+function toFeedItems(page, blogs) {
+  return blogs
+    .filter(blog => blog.publishedAt)
+    .sort((a, b) => b.publishedAt - a.publishedAt)
+    .slice(0, FEED_ITEM_LIMIT)
+    .map(blog => {
+      const url = page.getCanonicalPostUrl(blog.slug);
+      return {
+        id: url,
+        url,
+        title: blog.title,
+        summary: page.toMetaDescription(blog.summary || blog.content),
+        html: toFeedHTML(page.renderMarkdown(blog.content), url),
+        tags: blog.tags,
+        published: blog.publishedAt,
+        updated: blog.updatedAt || blog.publishedAt,
+        image: page.toAbsoluteUrl(blog.coverImage),
+      };
+    });
+}
+
+/**
+ * When the feed last changed
+ * @param {object[]} items - Feed entries
+ * @returns {Date}
+ */
+function getFeedUpdated(items) {
+  return items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+}
+
+/**
+ * RSS 2.0 feed
+ * @param {object} site - From getSiteInfo
+ * @param {object[]} items - Feed entries
+ * @returns {string} - XML
+ */
+function buildRSSFeed(site, items) {
+  const feedUrl = `${site.url}/${FEED_FILES.rss}`;
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXML(FEED_TITLE)}</title>
+    <link>${escapeXML(`${site.url}/blog/`)}</link>
+    <description>${escapeXML(FEED_DESCRIPTION)}</description>
+    <language>en</language>
+    <lastBuildDate>${getFeedUpdated(items).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXML(feedUrl)}" rel="self" type="application/rss+xml"/>
+${items.map(item => `    <item>
+      <title>${escapeXML(item.title)}</title>
+      <link>${escapeXML(item.url)}</link>
+      <guid isPermaLink="true">${escapeXML(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <description>${escapeXML(item.summary)}</description>
+      <content:encoded>${escapeXML(item.html)}</content:encoded>
+${item.tags.map(tag => `      <category>${escapeXML(tag)}</category>\n`).join('')}    </item>
+`).join('')}  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0 feed
+ * @param {object} site - From getSiteInfo
+ * @param {object[]} items - Feed entries
+ * @returns {string} - XML
+ */
+function buildAtomFeed(site, items) {
+  const feedUrl = `${site.url}/${FEED_FILES.atom}`;
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <id>${escapeXML(feedUrl)}</id>
+  <title>${escapeXML(FEED_TITLE)}</title>
+  <subtitle>${escapeXML(FEED_DESCRIPTION)}</subtitle>
+  <updated>${getFeedUpdated(items).toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXML(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXML(`${site.url}/blog/`)}"/>
+  <author>
+    <name>${escapeXML(site.author.name)}</name>
+    <uri>${escapeXML(site.author.url)}</uri>
+  </author>
+${items.map(item => `  <entry>
+    <id>${escapeXML(item.id)}</id>
+    <title>${escapeXML(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXML(item.url)}"/>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <summary>${escapeXML(item.summary)}</summary>
+    <content type="html">${escapeXML(item.html)}</content>
+${item.tags.map(tag => `    <category term="${escapeXML(tag)}"/>\n`).join('')}  </entry>
+`).join('')}</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1
+ * @param {object} site - From getSiteInfo
+ * @param {object[]} items - Feed entries
+ * @returns {string} - JSON
+ */
+function buildJSONFeed(site, items) {
+  const feed = {
+    version: JSON_FEED_VERSION,
+    title: FEED_TITLE,
+    home_page_url: `${site.url}/blog/`,
+    feed_url: `${site.url}/${FEED_FILES.json}`,
+    description: FEED_DESCRIPTION,
+    language: 'en',
+    authors: [{ name: site.author.name, url: site.author.url }],
+    items: items.map(item => {
+      const entry = {
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        content_html: item.html,
+        summary: item.summary,
+        date_published: item.published.toISOString(),
+        date_modified: item.updated.toISOString(),
+      };
+      if (item.image) entry.image = item.image;
+      if (item.tags.length > 0) entry.tags = item.tags;
+      return entry;
+    }),
+  };
+  
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+/**
+ * Check that XML is well-formed and read it into a tree
+ * Enough XML for the feeds above: elements, attributes, text, the
+ * declaration and the five predefined entities (plus character references)
+ * @param {string} xml - Document
+ * @returns {object} - Root element { name, attributes, children, text }
+ */
+function parseXML(xml) {
+  const TOKEN = /<\?xml[^?]*\?>|<!--[\s\S]*?-->|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*"[^"<]*")*)\s*(\/?)>|<|[^<]+/g;
+  const ENTITY = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[\da-fA-F]+);)/;
+  const decode = text => text
+    .replace(/&#x([\da-fA-F]+);/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&(lt|gt|quot|apos);/g, (match, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'" })[name])
+    .replace(/&amp;/g, '&');
+  
+  const stack = [{ name: '#document', children: [], text: '' }];
+  let match;
+  
+  while ((match = TOKEN.exec(xml))) {
+    const [token, closing, opening, rawAttributes, selfClosing] = match;
+    const parent = stack[stack.length - 1];
+    
+    if (token === '<') {
+      throw new Error(`Malformed tag at offset ${match.index}`);
+    }
+    if (closing) {
+      if (parent.name !== closing) {
+        throw new Error(`</${closing}> closes <${parent.name}> at offset ${match.index}`);
+      }
+      stack.pop();
+    } else if (opening) {
+      if (stack.length === 1 && parent.children.length > 0) {
+        throw new Error(`Second root element <${opening}>`);
+      }
+      const attributes = {};
+      for (const [, name, value] of rawAttributes.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+        if (name in attributes) throw new Error(`Duplicate attribute ${name} on <${opening}>`);
+        if (ENTITY.test(value)) throw new Error(`Bare & in attribute ${name} on <${opening}>`);
+        attributes[name] = decode(value);
+      }
+      const element = { name: opening, attributes, children: [], text: '' };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (!token.startsWith('<')) {
+      if (ENTITY.test(token)) throw new Error(`Bare & in text of <${parent.name}>`);
+      if (stack.length === 1 && token.trim()) throw new Error('Text outside the root element');
+      parent.text += decode(token);
+    }
+  }
+  
+  if (stack.length > 1) {
+    throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  }
+  if (stack[0].children.length !== 1) {
+    throw new Error('Document has no root element');
+  }
+  return stack[0].children[0];
+}
+
+/**
+ * Child elements with a tag name
+ */
+function getChildren(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+/**
+ * Text of the first child element with a tag name
+ */
+function getChildText(element, name) {
+  const child = getChildren(element, name)[0];
+  return child ? child.text.trim() : '';
+}
+
+/**
+ * Whether a string is an absolute http(s) URL
+ */
+function isAbsoluteUrl(url) {
+  return /^https?:\/\/[^/\s]+/.test(String(url || ''));
+}
+
+/**
+ * Links and images in post HTML that are not absolute
+ * @param {string} html - Post HTML
+ * @returns {string[]}
+ */
+function getRelativeLinks(html) {
+  return Array.from(html.matchAll(/\b(?:href|src)="([^"]*)"/g), match => match[1])
+    .filter(url => !/^(https?|mailto|tel):/.test(url));
+}
+
+/**
+ * Check an RSS 2.0 feed
+ * @param {string} xml - Feed
+ * @returns {string[]} - Problems found
+ */
+function validateRSSFeed(xml) {
+  const rss = parseXML(xml);
+  const channel = getChildren(rss, 'channel')[0];
+  const problems = [];
+  
+  if (rss.name !== 'rss' || rss.attributes.version !== '2.0') problems.push('root must be <rss version="2.0">');
+  if (!channel) return [...problems, 'missing <channel>'];
+  
+  ['title', 'link', 'description'].forEach(name => {
+    if (!getChildText(channel, name)) problems.push(`channel is missing <${name}>`);
+  });
+  if (!isAbsoluteUrl(getChildText(channel, 'link'))) problems.push('channel <link> must be absolute');
+  
+  getChildren(channel, 'item').forEach((item, index) => {
+    const label = `item ${index + 1}`;
+    if (!getChildText(item, 'title') && !getChildText(item, 'description')) problems.push(`${label} needs a <title> or <description>`);
+    if (!isAbsoluteUrl(getChildText(item, 'link'))) problems.push(`${label} <link> must be absolute`);
+    if (!getChildText(item, 'guid')) problems.push(`${label} is missing <guid>`);
+    if (!RFC822_DATE.test(getChildText(item, 'pubDate'))) problems.push(`${label} <pubDate> is not an RFC 822 date`);
+    getRelativeLinks(getChildText(item, 'content:encoded')).forEach(url => problems.push(`${label} has relative link ${url}`));
+  });
+  
+  return problems;
+}
+
+/**
+ * Check an Atom 1.0 feed
+ * @param {string} xml - Feed
+ * @returns {string[]} - Problems found
+ */
+function validateAtomFeed(xml) {
+  const feed = parseXML(xml);
+  const problems = [];
+  
+  if (feed.name !== 'feed' || feed.attributes.xmlns !== 'http://www.w3.org/2005/Atom') problems.push('root must be an Atom <feed>');
+  ['id', 'title', 'updated'].forEach(name => {
+    if (!getChildText(feed, name)) problems.push(`feed is missing <${name}>`);
+  });
+  if (getChildText(feed, 'updated') && !RFC3339_DATE.test(getChildText(feed, 'updated'))) problems.push('feed <updated> is not an RFC 3339 date');
+  if (!getChildren(feed, 'link').some(link => link.attributes.rel === 'self' && isAbsoluteUrl(link.attributes.href))) {
+    problems.push('feed is missing an absolute rel="self" link');
+  }
+  
+  const hasFeedAuthor = getChildren(feed, 'author').length > 0;
+  
+  getChildren(feed, 'entry').forEach((entry, index) => {
+    const label = `entry ${index + 1}`;
+    ['id', 'title', 'updated'].forEach(name => {
+      if (!getChildText(entry, name)) problems.push(`${label} is missing <${name}>`);
+    });
+    ['updated', 'published'].forEach(name => {
+      const value = getChildText(entry, name);
+      if (value && !RFC3339_DATE.test(value)) problems.push(`${label} <${name}> is not an RFC 3339 date`);
+    });
+    if (!hasFeedAuthor && getChildren(entry, 'author').length === 0) problems.push(`${label} has no author`);
+    if (!getChildren(entry, 'link').some(link => (link.attributes.rel || 'alternate') === 'alternate' && isAbsoluteUrl(link.attributes.href))) {
+      problems.push(`${label} is missing an absolute alternate link`);
+    }
+    getRelativeLinks(getChildText(entry, 'content')).forEach(url => problems.push(`${label} has relative link ${url}`));
+  });
+  
+  return problems;
+}
+
+/**
+ * Check a JSON Feed 1.1
+ * @param {string} json - Feed
+ * @returns {string[]} - Problems found
+ */
+function validateJSONFeed(json) {
+  const feed = JSON.parse(json);
+  const problems = [];
+  
+  if (feed.version !== JSON_FEED_VERSION) problems.push(`version must be ${JSON_FEED_VERSION}`);
+  if (typeof feed.title !== 'string' || !feed.title) problems.push('title is required');
+  ['home_page_url', 'feed_url'].forEach(name => {
+    if (feed[name] !== undefined && !isAbsoluteUrl(feed[name])) problems.push(`${name} must be absolute`);
+  });
+  if (!Array.isArray(feed.items)) return [...problems, 'items must be an array'];
+  
+  const ids = new Set();
+  feed.items.forEach((item, index) => {
+    const label = `item ${index + 1}`;
+    if (typeof item.id !== 'string' || !item.id) problems.push(`${label} needs a string id`);
+    if (ids.has(item.id)) problems.push(`${label} repeats id ${item.id}`);
+    ids.add(item.id);
+    if (typeof item.content_html !== 'string' && typeof item.content_text !== 'string') problems.push(`${label} needs content_html or content_text`);
+    if (item.url !== undefined && !isAbsoluteUrl(item.url)) problems.push(`${label} url must be absolute`);
+    ['date_published', 'date_modified'].forEach(name => {
+      if (item[name] !== undefined && !RFC3339_DATE.test(item[name])) problems.push(`${label} ${name} is not an RFC 3339 date`);
+    });
+    if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every(tag => typeof tag === 'string'))) problems.push(`${label} tags must be strings`);
+    getRelativeLinks(item.content_html || '').forEach(url => problems.push(`${label} has relative link ${url}`));
+  });
+  
+  return problems;
+}
+
+/**
+ * Check every feed, throwing on the first one that is invalid
+ * @param {Map} feeds - File name -> contents
+ */
+function validateFeeds(feeds) {
+  const validators = {
+    [FEED_FILES.rss]: validateRSSFeed,
+    [FEED_FILES.atom]: validateAtomFeed,
+    [FEED_FILES.json]: validateJSONFeed,
+  };
+  
+  feeds.forEach((contents, file) => {
+    let problems;
+    try {
+      problems = validators[file](contents);
+    } catch (error) {
+      problems = [error.message];
+    }
+    if (problems.length > 0) {
+      throw new Error(`${file} is invalid:\n  ${problems.join('\n  ')}`);
+    }
+  });
+}
+
+/**
+ * Render every feed in memory
+ * @param {string} api - API base URL (ending in /v1)
+ * @returns {Promise<Map>} - File name -> contents
+ */
+async function renderFeeds(api) {
+  const page = loadPageScripts(fs.readFileSync(path.join(SITE_DIR, 'blog.html'), 'utf8'));
+  const blogs = [];
+  
+  for (const { slug } of page.toBlogs(await getJSON(`${api}/blogs`))) {
+    if (!SAFE_SLUG.test(slug)) {
+      console.warn(`Skipping blog with unsafe slug: ${slug}`);
+      continue;
+    }
+    
+    const blog = page.toBlog(await getJSON(`${api}/blogs/${encodeURIComponent(slug)}`));
+    if (!blog) {
+      console.warn(`Skipping blog without content: ${slug}`);
+      continue;
+    }
+    blogs.push(blog);
+  }
+  
+  const site = getSiteInfo(page);
+  const items = toFeedItems(page, blogs);
+  return new Map([
+    [FEED_FILES.rss, buildRSSFeed(site, items)],
+    [FEED_FILES.atom, buildAtomFeed(site, items)],
+    [FEED_FILES.json, buildJSONFeed(site, items)],
+  ]);
+}
+
+/**
+ * Write validated feeds into the output directory
+ * @param {string} api - API base URL (ending in /v1)
+ * @param {string} outDir - Output directory
+ * @returns {Promise<object>} - Summary counts
+ */
+async function generateFeeds(api, outDir) {
+  const feeds = await renderFeeds(api);
+  validateFeeds(feeds);
+  
+  fs.mkdirSync(outDir, { recursive: true });
+  feeds.forEach((contents, file) => fs.writeFileSync(path.join(outDir, file), contents));
+  
+  return {
+    feeds: feeds.size,
+    items: JSON.parse(feeds.get(FEED_FILES.json)).items.length,
+  };
+}
+
+async function main() {
+  const outDir = path.resolve(getArg('out', SITE_DIR));
+  let api = getArg('api', DEFAULT_API).replace(/\/$/, '');
+  let server = null;
+  
+  if (process.argv.includes('--mock')) {
+    server = await startMockServer({ port: 0 });
+    api = `http://127.0.0.1:${server.address().port}/v1`;
+  }
+  
+  try {
+    console.log(`Generating feeds from ${api} into ${outDir}`);
+    const summary = await generateFeeds(api, outDir);
+    console.log(`Done: ${summary.feeds} feeds (${summary.items} posts)`);
+  } finally {
+    server?.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Feed generation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  generateFeeds,
+  validateFeeds,
+};
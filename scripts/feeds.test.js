@@ -0,0 +1,67 @@
+/**
+ * feeds.test.js - Feed Generator Tests
+ * Builds the feeds from the mock API (fixtures/) and checks that they pass
+ * validation, and that validation rejects broken ones.
+ *
+ * Run: node --test scripts/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateFeeds, validateFeeds } = require('./feeds');
+const { startMockServer } = require('./mock-api-server');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const FEED_FILES = ['feed.xml', 'atom.xml', 'feed.json'];
+
+test('feeds.js writes valid RSS, Atom and JSON feeds from the mock API', async t => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+  const server = await startMockServer({ port: 0 });
+  t.after(() => {
+    server.close();
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+  
+  const summary = await generateFeeds(`http://127.0.0.1:${server.address().port}/v1`, outDir);
+  const blogs = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'blogs.json'), 'utf8')).data;
+  assert.equal(summary.feeds, 3);
+  assert.equal(summary.items, blogs.length);
+  assert.deepEqual(fs.readdirSync(outDir).sort(), [...FEED_FILES].sort());
+  
+  const feeds = new Map(FEED_FILES.map(file => [file, fs.readFileSync(path.join(outDir, file), 'utf8')]));
+  assert.doesNotThrow(() => validateFeeds(feeds));
+  
+  const jsonFeed = JSON.parse(feeds.get('feed.json'));
+  assert.deepEqual(
+    jsonFeed.items.map(item => item.url).sort(),
+    blogs.map(blog => `https://shashankpandey.xyz/blog/${blog.slug}`).sort()
+  );
+  
+  // [description, feed file, change that breaks it, expected problem]
+  const broken = [
+    ['RSS item without a guid', 'feed.xml', xml => xml.replace(/<guid[^>]*>[^<]*<\/guid>/, ''), /item 1 is missing <guid>/],
+    ['RSS that is not XML', 'feed.xml', xml => xml.replace('</channel>', ''), /feed\.xml is invalid/],
+    ['Atom entry with a bad date', 'atom.xml', xml => xml.replace(/(<entry>[\s\S]*?<updated>)[^<]+/, '$1yesterday'), /entry 1 <updated> is not an RFC 3339 date/],
+    ['JSON Feed item with a relative link', 'feed.json', json => {
+      const feed = JSON.parse(json);
+      feed.items[0].content_html += '<a href="../blogs.html">More</a>';
+      return JSON.stringify(feed);
+    }, /item 1 has relative link \.\.\/blogs\.html/],
+    ['JSON Feed with the wrong version', 'feed.json', json => json.replace('version/1.1', 'version/9'), /version must be/],
+  ];
+  
+  for (const [description, file, breakFeed, problem] of broken) {
+    await t.test(`rejects ${description}`, () => {
+      const feedsWithBreak = new Map(feeds).set(file, breakFeed(feeds.get(file)));
+      assert.notEqual(feedsWithBreak.get(file), feeds.get(file), 'the change applies');
+      assert.throws(() => validateFeeds(feedsWithBreak), error => {
+        assert.match(error.message, new RegExp(`^${file.replace('.', '\\.')} is invalid`));
+        assert.match(error.message, problem);
+        return true;
+      });
+    });
+  }
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * mock-api-server.js - Local Mock of the Portfolio API
+ * Serves the /v1 endpoints from a directory of JSON fixtures so scripts
+ * and pages can run without network access
+ *
+ * Usage: node scripts/mock-api-server.js [--port 4010] [--dir fixtures]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Map an API path to its fixture file
+ * @param {string} pathname - Request path (e.g. '/v1/blogs/my-post')
+ * @returns {string|null} - Fixture path relative to the fixture dir, or null
+ */
+function resolveFixture(pathname) {
+  const routes = [
+    [/^\/v1\/blogs\/?$/, () => 'blogs.json'],
+    [/^\/v1\/blogs\/([\w-]+)\/?$/, match => `blogs/${match[1]}.json`],
+    [/^\/v1\/projects\/?$/, () => 'projects.json'],
+    [/^\/v1\/projects\/featured\/?$/, () => 'projects-featured.json'],
+    [/^\/v1\/projects\/([\w-]+)\/?$/, match => `projects/${match[1]}.json`],
+  ];
+  
+  for (const [pattern, toFile] of routes) {
+    const match = pathname.match(pattern);
+    if (match) return toFile(match);
+  }
+  return null;
+}
+
+/**
+ * Start the mock server
+ * @param {object} options - { port, dir } (port 0 picks a free port)
+ * @returns {Promise<http.Server>} - Listening server
+ */
+function startMockServer({ port = DEFAULT_PORT, dir = DEFAULT_DIR } = {}) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const fixture = resolveFixture(pathname);
+    
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      });
+      res.end(JSON.stringify(body));
+    };
+    
+    if (!fixture) {
+      return send(404, { success: false, message: 'Not found' });
+    }
+    
+    fs.readFile(path.join(dir, fixture), 'utf8', (error, contents) => {
+      if (error) {
+        return send(404, { success: false, message: 'Not found' });
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      });
+      res.end(contents);
+    });
+  });
+  
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Read a --flag value from argv
+ */
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+if (require.main === module) {
+  const port = Number(getArg('port', DEFAULT_PORT));
+  const dir = path.resolve(getArg('dir', DEFAULT_DIR));
+  
+  startMockServer({ port, dir }).then(server => {
+    console.log(`Mock API serving ${dir} at http://127.0.0.1:${server.address().port}/v1`);
+  });
+}
+
+module.exports = {
+  startMockServer,
+};
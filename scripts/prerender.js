@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * prerender.js - Static HTML for Posts, Projects and List Pages
+ * Runs the page scripts in Node and writes their markup into static pages,
+ * so crawlers and no-JS visitors get content. In the browser the same
+ * scripts hydrate or refresh that markup instead of replacing it.
+ *
+ * Writes into the output directory (the site root by default):
+ *   blog/<slug>.html      one page per post, from blog.html
+ *   blog/index.html       first page of the blog list, from blogs.html
+ *   projects/<slug>.html  one page per project, from project.html
+ *   projects/index.html   every project, from projects.html
+ * blog/ and projects/ are generated - they are replaced on every run.
+ * GitHub Pages serves blog/<slug>.html at the clean URL /blog/<slug> and
+ * blog/index.html at /blog/, the URLs the nav and canonical links use;
+ * pages missing there fall back to 404.html (see router.js).
+ * blog/<slug>/index.html would make Pages redirect /blog/<slug> to
+ * /blog/<slug>/, one level deeper than the links rebaseLinks writes.
+ * The deploy workflow (.github/workflows/deploy.yml) runs this after the
+ * snapshot; the output is not committed.
+ *
+ * Usage:
+ *   node scripts/prerender.js                     # production API
+ *   node scripts/prerender.js --api <baseUrl>     # any API, e.g. http://127.0.0.1:4010/v1
+ *   node scripts/prerender.js --mock [--out dir]  # local mock server serving fixtures/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { SAFE_SLUG, getJSON } = require('./snapshot');
+const { startMockServer } = require('./mock-api-server');
+
+const DEFAULT_API = 'https://api-shashankpandey-xyz.onrender.com/v1';
+const SITE_DIR = path.join(__dirname, '..');
+
+// Output folders owned by this script
+const GENERATED_DIRS = ['blog', 'projects'];
+
+/**
+ * Read a --flag value from argv
+ */
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Local scripts a page loads, in page order
+ * @param {string} html - Page template
+ * @returns {string[]} - Paths relative to the site root
+ */
+function getPageScripts(html) {
+  return Array.from(html.matchAll(/<script src="\.\/([^"]+)"><\/script>/g), match => match[1]);
+}
+
+/**
+ * Run a page's scripts in a fresh context, the way the browser does
+ * Classic scripts share one global scope, so each page gets its own context.
+ * There is no window or document, so nothing auto-loads or touches the DOM.
+ * @param {string} html - Page template
+ * @returns {object} - Context holding the page's global functions
+ */
+function loadPageScripts(html) {
+  const context = vm.createContext({
+    console,
+    URL,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    AbortController,
+    AbortSignal,
+    navigator: {},
+  });
+  
+  getPageScripts(html).forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(SITE_DIR, file), 'utf8'), context, { filename: file });
+  });
+  
+  return context;
+}
+
+/**
+ * Point the template's relative links at the site root from a nested page
+ * @param {string} html - Page template
+ * @param {number} depth - Folders between the page and the site root
+ * @returns {string}
+ */
+function rebaseLinks(html, depth) {
+  const prefix = '../'.repeat(depth);
+  return html.replace(
+    /\b(href|src)="(?![a-z][a-z0-9+.-]*:|\/|#)(?:\.\/)?([^"]*)"/gi,
+    (match, attribute, url) => `${attribute}="${prefix}${url}"`
+  );
+}
+
+/**
+ * Swap the template's title and SEO tags for the page's own
+ * @param {string} html - Page template
+ * @param {string} headMarkup - Tags that take the place of <title>
+ * @returns {string}
+ */
+function replaceHeadMeta(html, headMarkup) {
+  return html
+    .replace(/\n\s*<meta (?:name|property)="(?:description|og:[^"]*|twitter:[^"]*|article:[^"]*)"[^>]*>/g, '')
+    .replace(/\n\s*<link rel="canonical"[^>]*>/g, '')
+    .replace(/<title>[\s\S]*?<\/title>/, () => headMarkup);
+}
+
+/**
+ * Add markup at the end of <head>
+ * @param {string} html - Page
+ * @param {string} markup - Tags to add
+ * @returns {string}
+ */
+function appendToHead(html, markup) {
+  return html.replace('</head>', () => `  ${markup}\n</head>`);
+}
+
+/**
+ * Fill a page's (empty) container with prerendered markup
+ * @param {string} html - Page template
+ * @param {string} id - Container id
+ * @param {string} markup - Rendered HTML
+ * @param {string} attributes - Extra attributes for the container
+ * @returns {string}
+ */
+function fillContainer(html, id, markup, attributes) {
+  const pattern = new RegExp(`(<div id="${id}"[^>]*)>[\\s\\S]*?</div>`);
+  if (!pattern.test(html)) {
+    throw new Error(`Container #${id} not found in template`);
+  }
+  return html.replace(pattern, (match, openTag) => `${openTag} ${attributes}>${markup}</div>`);
+}
+
+/**
+ * Render the page for one post
+ * @param {string} template - blog.html
+ * @param {object} page - Context from loadPageScripts
+ * @param {object} payload - Raw GET /blogs/:slug payload
+ * @param {Blog} blog - The post, normalized
+ * @param {Blog[]} blogs - All posts, for series and previous/next links
+ * @returns {string} - HTML
+ */
+function renderPostPage(template, page, payload, blog, blogs) {
+  const head = [
+    page.renderPageMeta(page.getBlogPageMeta(blog)),
+    page.renderStructuredData('blog-posting-data', page.buildBlogPostingData(blog)),
+    // blog.js hydrates from this instead of waiting for the API
+    `<script type="application/json" id="blog-data">${page.serializeStructuredData(payload)}</script>`,
+  ].join('\n  ');
+  
+  const html = replaceHeadMeta(rebaseLinks(template, 1), head);
+  return fillContainer(
+    html,
+    'blog-post-container',
+    page.renderBlogPostHTML(blog, blogs),
+    `data-prerendered data-slug="${page.escapeHTML(blog.slug)}"`
+  );
+}
+
+/**
+ * Render the page for one project, with its mentions and related projects
+ * @param {string} template - project.html
+ * @param {object} page - Context from loadPageScripts
+ * @param {object} payload - Raw GET /projects/:slug payload
+ * @param {Project} project - The project, normalized
+ * @param {Project[]} projects - All projects, for the related list
+ * @param {Blog[]} blogs - All posts, for the mentions list
+ * @returns {string} - HTML
+ */
+function renderProjectPage(template, page, payload, project, projects, blogs) {
+  const head = [
+    page.renderPageMeta(page.getProjectPageMeta(project)),
+    page.renderStructuredData('project-data', page.buildProjectData(project)),
+    // project.js hydrates from this instead of waiting for the API
+    `<script type="application/json" id="project-payload">${page.serializeStructuredData(payload)}</script>`,
+  ].join('\n  ');
+  
+  const markup = page.renderProjectPageHTML(project)
+    .replace('<div data-project-mentions></div>', () =>
+      `<div data-project-mentions>${page.renderProjectMentions(project, blogs)}</div>`)
+    .replace('<div data-related-projects></div>', () =>
+      `<div data-related-projects>${page.renderRelatedProjects(project, projects)}</div>`);
+  
+  const html = replaceHeadMeta(rebaseLinks(template, 1), head);
+  return fillContainer(
+    html,
+    'project-container',
+    markup,
+    `data-prerendered data-slug="${page.escapeHTML(project.slug)}"`
+  );
+}
+
+/**
+ * Render every page in memory
+ * Nothing is written until all pages rendered, so a failed run leaves the
+ * previous output alone
+ * @param {string} api - API base URL (ending in /v1)
+ * @returns {Promise<Map>} - Output path -> HTML
+ */
+async function renderSite(api) {
+  const readTemplate = file => fs.readFileSync(path.join(SITE_DIR, file), 'utf8');
+  const pages = new Map();
+  
+  // Blog posts
+  const postTemplate = readTemplate('blog.html');
+  const postScripts = loadPageScripts(postTemplate);
+  const blogsPayload = await getJSON(`${api}/blogs`);
+  const blogs = postScripts.toBlogs(blogsPayload);
+  const readingTimes = {};
+  
+  for (const { slug } of blogs) {
+    // blog/index.html is the list page
+    if (!SAFE_SLUG.test(slug) || slug === 'index') {
+      console.warn(`Skipping blog with unsafe slug: ${slug}`);
+      continue;
+    }
+    
+    const payload = await getJSON(`${api}/blogs/${encodeURIComponent(slug)}`);
+    const blog = postScripts.toBlog(payload);
+    if (!blog) {
+      console.warn(`Skipping blog without content: ${slug}`);
+      continue;
+    }
+    readingTimes[slug] = blog.readingMinutes;
+    pages.set(path.join('blog', `${slug}.html`), renderPostPage(postTemplate, postScripts, payload, blog, blogs));
+  }
+  
+  // Blog list - the first page, as blogs.js requests it without filters
+  const listTemplate = readTemplate('blogs.html');
+  const listScripts = loadPageScripts(listTemplate);
+  const listQuery = listScripts.buildQueryString(listScripts.getBlogPageParams(1));
+  const listBlogs = listScripts.applyReadingTimes(
+    listScripts.toBlogs(await getJSON(`${api}/blogs${listQuery}`)),
+    readingTimes
+  );
+  
+  pages.set(path.join('blog', 'index.html'), fillContainer(
+    rebaseLinks(listTemplate, 1),
+    'blogs-container',
+    listScripts.renderBlogListHTML(listBlogs),
+    'data-prerendered'
+  ));
+  
+  // Projects
+  const projectTemplate = readTemplate('project.html');
+  const projectPageScripts = loadPageScripts(projectTemplate);
+  const projectsPayload = await getJSON(`${api}/projects`);
+  const allProjects = projectPageScripts.toProjects(projectsPayload);
+  const mentionBlogs = projectPageScripts.toBlogs(blogsPayload);
+  
+  for (const { slug } of allProjects) {
+    // projects/index.html is the list page
+    if (!SAFE_SLUG.test(slug) || slug === 'index') {
+      console.warn(`Skipping project with unsafe slug: ${slug}`);
+      continue;
+    }
+    
+    const payload = await getJSON(`${api}/projects/${encodeURIComponent(slug)}`);
+    const project = projectPageScripts.toProject(payload);
+    if (!project) {
+      console.warn(`Skipping project without content: ${slug}`);
+      continue;
+    }
+    pages.set(
+      path.join('projects', `${slug}.html`),
+      renderProjectPage(projectTemplate, projectPageScripts, payload, project, allProjects, mentionBlogs)
+    );
+  }
+  
+  // Project list
+  const projectsTemplate = readTemplate('projects.html');
+  const projectScripts = loadPageScripts(projectsTemplate);
+  const projects = projectScripts.toProjects(projectsPayload);
+  const projectsData = projectScripts.buildProjectListData(projectScripts.orderProjects(projects));
+  
+  pages.set(path.join('projects', 'index.html'), fillContainer(
+    appendToHead(rebaseLinks(projectsTemplate, 1), projectScripts.renderStructuredData('projects-data', projectsData)),
+    'projects-container',
+    projectScripts.renderProjectListHTML(projects),
+    'data-prerendered'
+  ));
+  
+  return pages;
+}
+
+/**
+ * Prerender the site into the output directory
+ * @param {string} api - API base URL (ending in /v1)
+ * @param {string} outDir - Output directory
+ * @returns {Promise<object>} - Summary counts
+ */
+async function prerender(api, outDir) {
+  const pages = await renderSite(api);
+  
+  GENERATED_DIRS.forEach(dir => fs.rmSync(path.join(outDir, dir), { recursive: true, force: true }));
+  pages.forEach((html, file) => {
+    fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(outDir, file), html);
+  });
+  
+  const count = dir => Array.from(pages.keys())
+    .filter(file => path.dirname(file) === dir && path.basename(file) !== 'index.html').length;
+  
+  return {
+    pages: pages.size,
+    posts: count('blog'),
+    projects: count('projects'),
+  };
+}
+
+async function main() {
+  const outDir = path.resolve(getArg('out', SITE_DIR));
+  let api = getArg('api', DEFAULT_API).replace(/\/$/, '');
+  let server = null;
+  
+  if (process.argv.includes('--mock')) {
+    server = await startMockServer({ port: 0 });
+    api = `http://127.0.0.1:${server.address().port}/v1`;
+  }
+  
+  try {
+    console.log(`Prerendering ${api} into ${outDir}`);
+    const summary = await prerender(api, outDir);
+    console.log(`Done: ${summary.pages} pages (${summary.posts} posts, ${summary.projects} projects)`);
+  } finally {
+    server?.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Prerender failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadPageScripts,
+  prerender,
+};
@@ -0,0 +1,135 @@
+/**
+ * sanitize.test.js - Malicious Markdown Corpus for sanitize.js
+ * Every sample maps to the exact output it must produce. The HTML corpus
+ * runs through sanitizeHTML directly; the Markdown corpus runs through the
+ * full renderMarkdown pipeline the post page uses.
+ *
+ * Run: node --test scripts/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { sanitizeHTML } = require('../assets/js/sanitize');
+const { loadPageScripts } = require('./prerender');
+
+const SITE_ORIGIN = 'https://shashankpandey.xyz';
+
+// [description, untrusted HTML, expected output]
+const HTML_CORPUS = [
+  // javascript: and other script schemes
+  ['javascript: link', '<a href="javascript:alert(1)">x</a>', '<a>x</a>'],
+  ['mixed-case scheme', '<a href="JaVaScRiPt:alert(1)">x</a>', '<a>x</a>'],
+  ['leading space', '<a href=" javascript:alert(1)">x</a>', '<a>x</a>'],
+  ['tab inside the scheme', '<a href="java\tscript:alert(1)">x</a>', '<a>x</a>'],
+  ['control character before the scheme', '<a href="\u0001javascript:alert(1)">x</a>', '<a>x</a>'],
+  ['vbscript: link', '<a href="vbscript:msgbox(1)">x</a>', '<a>x</a>'],
+  ['javascript: image', '<IMG SRC="javascript:alert(1)">', ''],
+  
+  // Entity-encoded schemes
+  ['decimal entities', '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>', '<a>x</a>'],
+  ['hex entity and &colon;', '<a href="&#x6A;avascript&colon;alert(1)">x</a>', '<a>x</a>'],
+  ['entity without semicolon', '<a href="javascript&#58alert(1)">x</a>', '<a>x</a>'],
+  ['zero-padded entity', '<a href="&#0000106avascript:alert(1)">x</a>', '<a>x</a>'],
+  ['encoded tab inside the scheme', '<a href="jav&#x09;ascript:alert(1)">x</a>', '<a>x</a>'],
+  
+  // data: URLs
+  ['data: link', '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>', '<a>x</a>'],
+  ['data: image', '<img src="data:image/svg+xml,<svg onload=alert(1)>">', ''],
+  
+  // Event handlers and other dropped attributes
+  ['onerror', '<img src="x" onerror="alert(1)">', '<img src="x">'],
+  ['unquoted onerror', '<img src=x onerror=alert(1)//>', '<img src="x">'],
+  ['onclick and uppercase onmouseover', '<a href="/ok" onclick="alert(1)" ONMOUSEOVER=alert(1)>x</a>', '<a href="/ok">x</a>'],
+  ['handler on a new line', '<div\nonclick="alert(1)">x</div>', '<div>x</div>'],
+  ['ontoggle on details', '<details open ontoggle=alert(1)><summary>s</summary>x</details>', '<details><summary>s</summary>x</details>'],
+  ['style attribute', '<div style="background:url(javascript:alert(1))" class="callout">x</div>', '<div class="callout">x</div>'],
+  
+  // <svg>, <math> and other elements dropped with their content
+  ['svg with script', '<svg><script>alert(1)</script></svg>', ''],
+  ['unclosed svg', '<svg onload=alert(1)>', ''],
+  ['math hiding an img', '<math><mtext><img src=x onerror=alert(1)></mtext></math>', ''],
+  ['script', '<script>alert(1)</script>', ''],
+  ['external script', '<SCRIPT SRC=//evil.example/x.js></SCRIPT>', ''],
+  ['iframe', '<iframe src="javascript:alert(1)"></iframe>', ''],
+  ['object', '<object data="javascript:alert(1)"></object>', ''],
+  ['form', '<form action="javascript:alert(1)"><input type="submit"></form>', ''],
+  ['style element', '<style>*{}</style><p>x</p>', '<p>x</p>'],
+  ['comment', '<!--<img src=x onerror=alert(1)>-->', ''],
+  ['noscript closed inside an attribute', '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>', '<img src="x">"&gt;'],
+  
+  // Unclosed and malformed tags
+  ['unclosed script', '<script>alert(1)', ''],
+  ['unclosed elements', '<p>unclosed <b>bold <i>italic', '<p>unclosed <b>bold <i>italic</i></b></p>'],
+  ['misnested elements', '<b><i>x</b></i>', '<b><i>x</i></b>'],
+  ['unterminated start tag', '<img src="x" alt="a" onerror="alert(1)"', '&lt;img src="x" alt="a" onerror="alert(1)"'],
+  ['no space between attributes', '<img src="x" alt="a"onerror="alert(1)">', '&lt;img src="x" alt="a"onerror="alert(1)"&gt;'],
+  ['slash instead of space', '<a/href="javascript:alert(1)">x</a>', '&lt;a/href="javascript:alert(1)"&gt;x'],
+  ['doubled bracket', '<<script>alert(1)//<</script>', '&lt;'],
+  
+  // Attribute-quote breaking
+  ['quotes inside single-quoted value', '<a title=\'"><script>alert(1)</script>\' href="/x">t</a>', '<a title="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;" href="/x">t</a>'],
+  ['encoded quotes in a value', '<a title="&quot;&gt;&lt;img src=x onerror=alert(1)&gt;">t</a>', '<a title="&quot;&gt;&lt;img src=x onerror=alert(1)&gt;">t</a>'],
+  ['encoded quotes in a class', '<code class="a&quot; onmouseover=&quot;alert(1)">x</code>', '<code>x</code>'],
+  ['backtick in a value', '<img src="x" alt="`onerror=alert(1)">', '<img src="x" alt="`onerror=alert(1)">'],
+  ['width that is not a number', '<img src="https://x/a.png" width="100%" height="10">', '<img src="https://x/a.png" height="10">'],
+  
+  // Form controls
+  ['task-list checkbox', '<input type="checkbox" checked>', '<input type="checkbox" checked disabled>'],
+  ['text input', '<input type="text" value="x">', ''],
+  
+  // Links that stay
+  ['external link', '<a href="https://evil.example">x</a>', '<a href="https://evil.example" target="_blank" rel="noopener noreferrer">x</a>'],
+  ['protocol-relative link', '<a href="//evil.example">x</a>', '<a href="//evil.example" target="_blank" rel="noopener noreferrer">x</a>'],
+  ['same-site link', '<a href="https://shashankpandey.xyz/blog/x">x</a>', '<a href="https://shashankpandey.xyz/blog/x">x</a>'],
+  ['mailto: link', '<a href="mailto:me@example.com">x</a>', '<a href="mailto:me@example.com">x</a>'],
+];
+
+// [description, untrusted Markdown, expected renderMarkdown output]
+const MARKDOWN_CORPUS = [
+  ['javascript: link', '[x](javascript:alert(1))', '<p><a>x</a></p>\n'],
+  ['uppercase scheme', '[x](JAVASCRIPT:alert(1))', '<p><a>x</a></p>\n'],
+  ['angle-bracket destination', '[x](<javascript:alert(1)>)', '<p><a>x</a></p>\n'],
+  ['entity-encoded scheme', '[x](&#106;avascript:alert(1))', '<p><a>x</a></p>\n'],
+  ['encoded tab inside the scheme', '[x](java&#x09;script:alert(1))', '<p><a>x</a></p>\n'],
+  ['reference definition', '[x][1]\n\n[1]: javascript:alert(1)', '<p><a>x</a></p>\n'],
+  ['autolink', '<javascript:alert(1)>', '<p><a>javascript:alert(1)</a></p>\n'],
+  ['javascript: image', '![x](javascript:alert(1))', '<p></p>\n'],
+  ['data: image', '![x](data:image/svg+xml;base64,PHN2Zz4=)', '<p></p>\n'],
+  ['data: link', '[x](data:text/html,<script>alert(1)</script>)', '<p><a>x</a></p>\n'],
+  ['title breaking out of its quotes', '[x](https://example.com "a\\" onmouseover=\\"alert(1)")', '<p><a href="https://example.com" title="a&quot; onmouseover=&quot;alert(1)" target="_blank" rel="noopener noreferrer">x</a></p>\n'],
+  ['raw img with onerror', '<img src=x onerror=alert(1)>', '<img src="x">'],
+  ['inline script', 'text <script>alert(1)</script> more', '<p>text  more</p>\n'],
+  ['svg animate', '<svg><animate onbegin=alert(1) attributeName=x dur=1s></svg>', '<p></p>\n'],
+  ['math with xlink:href', '<math><maction actiontype="statusline" xlink:href="javascript:alert(1)">x</maction></math>', '<p></p>\n'],
+  ['target override', '<a href="https://example.com" target="_self">x</a>', '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a></p>\n'],
+  ['code span', '`<img src=x onerror=alert(1)>`', '<p><code>&lt;img src=x onerror=alert(1)&gt;</code></p>\n'],
+  ['unclosed tag', '<b>unclosed', '<p><b>unclosed</b></p>\n'],
+];
+
+test('sanitizeHTML produces the expected output for the malicious HTML corpus', async t => {
+  for (const [description, input, expected] of HTML_CORPUS) {
+    await t.test(description, () => {
+      assert.equal(sanitizeHTML(input, { siteOrigin: SITE_ORIGIN }), expected);
+    });
+  }
+});
+
+test('renderMarkdown produces the expected output for the malicious Markdown corpus', async t => {
+  const page = loadPageScripts(fs.readFileSync(path.join(__dirname, '..', 'blog.html'), 'utf8'));
+  const renderMarkdown = vm.runInContext('renderMarkdown', page);
+  
+  for (const [description, input, expected] of MARKDOWN_CORPUS) {
+    await t.test(description, () => {
+      assert.equal(renderMarkdown(input), expected);
+    });
+  }
+  
+  await t.test('script in a fenced code block stays text', () => {
+    const html = renderMarkdown('```html\n<script>alert(1)</script>\n```');
+    assert.doesNotMatch(html, /<script/i);
+    assert.match(html, /&lt;<span class="hljs-name">script<\/span>&gt;/);
+  });
+});
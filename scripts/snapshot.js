@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * snapshot.js - API Snapshot Generator
+ * Pulls blogs, every blog post and every project from the API into JSON files
+ * under data/snapshots/. api.js falls back to these when the live API fails.
+ * List payloads carry no content, so two files derived from the full posts
+ * go alongside: reading-times.json for the list cards and search-text.json
+ * (each post as plain text) for search.js.
+ * The deploy workflow (.github/workflows/deploy.yml) runs this before every
+ * deploy; the output is not committed.
+ *
+ * Usage:
+ *   node scripts/snapshot.js                     # production API
+ *   node scripts/snapshot.js --api <baseUrl>     # any API, e.g. http://127.0.0.1:4010/v1
+ *   node scripts/snapshot.js --mock [--out dir]  # local mock server serving fixtures/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startMockServer } = require('./mock-api-server');
+const { toBlog } = require('../assets/js/models');
+const { toSearchText } = require('../assets/js/search');
+
+const DEFAULT_API = 'https://api-shashankpandey-xyz.onrender.com/v1';
+const DEFAULT_OUT = path.join(__dirname, '..', 'data', 'snapshots');
+
+// Render cold starts can take well over 30 seconds
+const REQUEST_TIMEOUT = 60000;
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 2000;
+
+// Slugs become file names, so only allow URL- and filesystem-safe ones
+const SAFE_SLUG = /^[\w-]+$/;
+
+/**
+ * Read a --flag value from argv
+ */
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Fetch JSON with timeout and retries
+ * @param {string} url - Absolute URL
+ * @returns {Promise<object>} - Parsed JSON
+ */
+async function getJSON(url) {
+  let lastError = null;
+  
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+      if (!response.ok) {
+        throw new Error(`HTTP Error: ${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      lastError = error;
+      console.warn(`GET ${url} attempt ${attempt + 1}/${MAX_RETRIES + 1} failed: ${error.message}`);
+      
+      if (attempt < MAX_RETRIES) {
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * (attempt + 1)));
+      }
+    }
+  }
+  
+  throw lastError;
+}
+
+/**
+ * Unwrap a list payload ({ data: [...] } or [...])
+ */
+function unwrapList(payload) {
+  const list = payload?.data || payload || [];
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Write a snapshot file wrapping the raw API payload
+ * @param {string} file - Absolute file path
+ * @param {object} payload - Raw API response body
+ * @param {object} meta - { generatedAt, source }
+ */
+function writeSnapshot(file, payload, meta) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...meta, payload }, null, 2) + '\n');
+}
+
+/**
+ * Pull every endpoint into the output directory
+ * Writes into a temporary directory first so a failed run never leaves
+ * a half-updated snapshot behind
+ * @param {string} api - API base URL (ending in /v1)
+ * @param {string} outDir - Output directory
+ * @returns {Promise<object>} - Summary counts
+ */
+async function createSnapshot(api, outDir) {
+  const meta = { generatedAt: new Date().toISOString(), source: api };
+  const tmpDir = `${outDir}.tmp-${process.pid}`;
+  
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  
+  try {
+    const blogsPayload = await getJSON(`${api}/blogs`);
+    writeSnapshot(path.join(tmpDir, 'blogs.json'), blogsPayload, meta);
+    
+    const slugs = unwrapList(blogsPayload).map(blog => blog.slug).filter(Boolean);
+    const readingTimes = {};
+    const searchText = {};
+    let posts = 0;
+    
+    for (const slug of slugs) {
+      if (!SAFE_SLUG.test(slug)) {
+        console.warn(`Skipping blog with unsafe slug: ${slug}`);
+        continue;
+      }
+      const postPayload = await getJSON(`${api}/blogs/${encodeURIComponent(slug)}`);
+      writeSnapshot(path.join(tmpDir, 'blogs', `${slug}.json`), postPayload, meta);
+      posts++;
+      
+      const blog = toBlog(postPayload);
+      if (blog?.readingMinutes) readingTimes[slug] = blog.readingMinutes;
+      if (blog?.content) searchText[slug] = toSearchText(blog.content);
+    }
+    writeSnapshot(path.join(tmpDir, 'reading-times.json'), readingTimes, meta);
+    writeSnapshot(path.join(tmpDir, 'search-text.json'), searchText, meta);
+    
+    const projectsPayload = await getJSON(`${api}/projects`);
+    writeSnapshot(path.join(tmpDir, 'projects.json'), projectsPayload, meta);
+    
+    const projectSlugs = unwrapList(projectsPayload).map(project => project.slug).filter(Boolean);
+    let projectPages = 0;
+    
+    for (const slug of projectSlugs) {
+      if (!SAFE_SLUG.test(slug)) {
+        console.warn(`Skipping project with unsafe slug: ${slug}`);
+        continue;
+      }
+      const projectPayload = await getJSON(`${api}/projects/${encodeURIComponent(slug)}`);
+      writeSnapshot(path.join(tmpDir, 'projects', `${slug}.json`), projectPayload, meta);
+      projectPages++;
+    }
+    
+    const featuredPayload = await getJSON(`${api}/projects/featured`);
+    writeSnapshot(path.join(tmpDir, 'projects-featured.json'), featuredPayload, meta);
+    
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(outDir), { recursive: true });
+    fs.renameSync(tmpDir, outDir);
+    
+    return {
+      blogs: slugs.length,
+      posts,
+      projects: unwrapList(projectsPayload).length,
+      projectPages,
+      featured: unwrapList(featuredPayload).length,
+    };
+  } catch (error) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+async function main() {
+  const outDir = path.resolve(getArg('out', DEFAULT_OUT));
+  let api = getArg('api', DEFAULT_API).replace(/\/$/, '');
+  let server = null;
+  
+  if (process.argv.includes('--mock')) {
+    server = await startMockServer({ port: 0 });
+    api = `http://127.0.0.1:${server.address().port}/v1`;
+  }
+  
+  try {
+    console.log(`Snapshotting ${api} into ${outDir}`);
+    const summary = await createSnapshot(api, outDir);
+    console.log(`Done: ${summary.blogs} blogs (${summary.posts} posts), ${summary.projects} projects (${summary.projectPages} pages), ${summary.featured} featured`);
+  } finally {
+    server?.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Snapshot failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SAFE_SLUG,
+  getJSON,
+  createSnapshot,
+};
@@ -0,0 +1,147 @@
+/**
+ * snapshot.test.js - Snapshot Generator and Fallback Tests
+ * Snapshots the mock API (fixtures/) and checks that api.js serves those
+ * files when the live API fails.
+ *
+ * Run: node --test scripts/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { createSnapshot } = require('./snapshot');
+const { startMockServer } = require('./mock-api-server');
+
+const SITE_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(SITE_DIR, 'fixtures');
+
+/**
+ * Read a fixture's records ({ data: [...] } or [...])
+ */
+function readFixtureList(file) {
+  const payload = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+  return payload.data || payload;
+}
+
+/**
+ * Load router.js and api.js the way a page does, with a fetch where the live
+ * API always fails and the site serves files from a snapshot directory
+ * @param {string} snapshotDir - Directory served at /data/snapshots
+ * @param {number} apiStatus - Status every live API request gets
+ * @returns {object} - Context holding api.js's globals
+ */
+function loadAPIWithSnapshots(snapshotDir, apiStatus) {
+  const fetch = async url => {
+    if (url.startsWith('/data/snapshots/')) {
+      const file = path.join(snapshotDir, url.slice('/data/snapshots/'.length));
+      return fs.existsSync(file)
+        ? new Response(fs.readFileSync(file), { status: 200 })
+        : new Response('Not found', { status: 404 });
+    }
+    // Retry-After: 0 keeps the retries from waiting
+    return new Response('{}', { status: apiStatus, headers: { 'Retry-After': '0' } });
+  };
+  
+  const context = vm.createContext({
+    console: { ...console, warn() {}, error() {}, log() {} },
+    URL,
+    URLSearchParams,
+    Response,
+    DOMException,
+    setTimeout,
+    clearTimeout,
+    AbortController,
+    AbortSignal,
+    fetch,
+  });
+  
+  ['assets/js/router.js', 'assets/js/api.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(SITE_DIR, file), 'utf8'), context, { filename: file });
+  });
+  
+  return context;
+}
+
+test('snapshot.js writes every endpoint from the mock API', async t => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+  const server = await startMockServer({ port: 0 });
+  t.after(() => {
+    server.close();
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+  
+  const snapshotDir = path.join(outDir, 'snapshots');
+  const summary = await createSnapshot(`http://127.0.0.1:${server.address().port}/v1`, snapshotDir);
+  
+  const blogs = readFixtureList('blogs.json');
+  const projects = readFixtureList('projects.json');
+  assert.equal(summary.posts, blogs.length);
+  assert.equal(summary.projectPages, projects.length);
+  
+  const expected = [
+    'blogs.json',
+    'projects.json',
+    'projects-featured.json',
+    'reading-times.json',
+    'search-text.json',
+    ...blogs.map(blog => `blogs/${blog.slug}.json`),
+    ...projects.map(project => `projects/${project.slug}.json`),
+  ];
+  for (const file of expected) {
+    const snapshot = JSON.parse(fs.readFileSync(path.join(snapshotDir, file), 'utf8'));
+    assert.ok(snapshot.generatedAt, `${file} has generatedAt`);
+    assert.ok(snapshot.payload, `${file} has a payload`);
+  }
+  
+  // List payloads carry no content, so each post's reading time is stored apart
+  const readingTimes = JSON.parse(fs.readFileSync(path.join(snapshotDir, 'reading-times.json'), 'utf8')).payload;
+  for (const { slug } of blogs) {
+    assert.ok(Number.isInteger(readingTimes[slug]) && readingTimes[slug] > 0, `${slug} has a reading time`);
+  }
+  const searchText = JSON.parse(fs.readFileSync(path.join(snapshotDir, 'search-text.json'), 'utf8')).payload;
+  assert.deepEqual(Object.keys(searchText), blogs.map(blog => blog.slug));
+  assert.doesNotMatch(Object.values(searchText).join(' '), /```|\]\(/, 'search text is plain text');
+  
+  // Nothing is left behind from the temporary directory
+  assert.deepEqual(fs.readdirSync(outDir), ['snapshots']);
+  
+  await t.test('api.js falls back to the snapshot when the API fails', async () => {
+    const api = loadAPIWithSnapshots(snapshotDir, 503);
+    
+    const list = await vm.runInContext('fetchBlogs()', api);
+    assert.equal(list.success, true);
+    assert.equal(list.snapshot, true);
+    const { generatedAt } = JSON.parse(fs.readFileSync(path.join(snapshotDir, 'blogs.json'), 'utf8'));
+    assert.equal(list.snapshotAt, generatedAt);
+    assert.deepEqual(list.data.data.map(blog => blog.slug), blogs.map(blog => blog.slug));
+    
+    const post = await vm.runInContext(`fetchBlogBySlug(${JSON.stringify(blogs[0].slug)})`, api);
+    assert.equal(post.snapshot, true);
+    assert.equal((post.data.data || post.data).slug, blogs[0].slug);
+    
+    const project = await vm.runInContext(`fetchProjectBySlug(${JSON.stringify(projects[0].slug)})`, api);
+    assert.equal(project.snapshot, true);
+    
+    const featured = await vm.runInContext('fetchFeaturedProjects()', api);
+    assert.equal(featured.snapshot, true);
+    
+    const times = await vm.runInContext('fetchReadingTimes()', api);
+    assert.equal(times.success, true);
+    assert.deepEqual(Object.keys(times.data), Object.keys(readingTimes));
+    
+    const text = await vm.runInContext('fetchSearchText()', api);
+    assert.deepEqual(text.data, searchText);
+  });
+  
+  await t.test('api.js passes a 404 through instead of serving a snapshot', async () => {
+    const api = loadAPIWithSnapshots(snapshotDir, 404);
+    
+    const result = await vm.runInContext(`fetchBlogBySlug(${JSON.stringify(blogs[0].slug)})`, api);
+    assert.equal(result.success, false);
+    assert.equal(result.status, 404);
+    assert.equal(result.snapshot, undefined);
+  });
+});
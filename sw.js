@@ -0,0 +1,299 @@
+/**
+ * sw.js - Service Worker for Offline Reading
+ * Precaches the site shell and serves API responses network-first with a cache fallback
+ */
+
+// BUILD_ID - stamped in by the deploy, so a new commit changes this worker
+// (through the imported file) and swaps the whole precached shell at once
+importScripts('./assets/js/build.js');
+
+// Drops the precached shell and API responses of older builds
+const SW_VERSION = BUILD_ID;
+const SHELL_CACHE = `portfolio-shell-${SW_VERSION}`;
+const API_CACHE = `portfolio-api-${SW_VERSION}`;
+// Blog posts the reader has opened - kept across deploys so they stay readable offline
+const POSTS_CACHE = 'portfolio-posts';
+
+const API_ORIGIN = 'https://api-shashankpandey-xyz.onrender.com';
+
+// Header set on responses served from the cache because the network failed
+const SW_FALLBACK_HEADER = 'X-SW-Cache';
+
+const SHELL_ASSETS = [
+  './',
+  './blogs.html',
+  './blog.html',
+  './project.html',
+  './projects.html',
+  './404.html',
+  './assets/css/style.css',
+  './assets/css/code.css',
+  './assets/css/markdown.css',
+  './static/css/index.css',
+  './assets/js/router.js',
+  './assets/js/build.js',
+  './assets/js/api.js',
+  './assets/js/cache.js',
+  './assets/js/models.js',
+  './assets/js/sanitize.js',
+  './assets/js/markdown.js',
+  './assets/js/utils.js',
+  './assets/js/offline.js',
+  './assets/js/seo.js',
+  './assets/js/share.js',
+  './assets/js/reading.js',
+  './assets/js/related.js',
+  './assets/js/blogs.js',
+  './assets/js/blog.js',
+  './assets/js/projects.js',
+  './assets/js/project.js',
+  './assets/js/search.js',
+  './assets/js/home.js',
+  './assets/js/theme.js',
+  './assets/vendor/marked/marked.umd.js',
+  './assets/vendor/katex/katex.min.js',
+  './assets/vendor/katex/katex.min.css',
+  './assets/vendor/highlight/highlight.min.js',
+  './assets/vendor/highlight/languages/dockerfile.min.js',
+  './assets/vendor/highlight/languages/nginx.min.js',
+  './static/img/shashank.jpg',
+  './static/logo/awscloudclub.png',
+  './static/logo/c++.png',
+  './static/logo/captain_diamond.png',
+  './static/logo/css.png',
+  './static/logo/django.png',
+  './static/logo/docker.png',
+  './static/logo/erm.png',
+  './static/logo/expressjs.png',
+  './static/logo/fastapi.png',
+  './static/logo/flask.png',
+  './static/logo/html.png',
+  './static/logo/humraahi.png',
+  './static/logo/java.png',
+  './static/logo/kendriyavidyalaya.png',
+  './static/logo/lpu.png',
+  './static/logo/mongodb.png',
+  './static/logo/mysql.png',
+  './static/logo/ncc.png',
+  './static/logo/nextjs.png',
+  './static/logo/nodejs.png',
+  './static/logo/php.png',
+  './static/logo/postgresql.png',
+  './static/logo/postman.png',
+  './static/logo/pytest.png',
+  './static/logo/python.png',
+  './static/logo/react.png',
+  './static/logo/redux.png',
+  './static/logo/svelte.png',
+  './static/logo/tailwind.png',
+];
+
+// Third-party scripts the pages need to render - cached best-effort
+const CDN_ASSETS = [
+  'https://unpkg.com/@tailwindcss/browser@4',
+];
+
+// Absolute URLs of everything precached on install
+const PRECACHED_URLS = new Set([
+  ...SHELL_ASSETS.map(asset => new URL(asset, self.location).href),
+  ...CDN_ASSETS,
+]);
+
+/**
+ * Precache the shell on install
+ */
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    // Skip the HTTP cache - it may still hold files of the previous build
+    await cache.addAll(SHELL_ASSETS.map(url => new Request(url, { cache: 'reload' })));
+    
+    // A CDN hiccup must not fail the whole install
+    await Promise.all(CDN_ASSETS.map(url =>
+      cache.add(url).catch(error => console.warn('SW: failed to precache', url, error))
+    ));
+    
+    await self.skipWaiting();
+  })());
+});
+
+/**
+ * Drop caches from previous versions on activate
+ */
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, API_CACHE, POSTS_CACHE];
+  
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter(name => name.startsWith('portfolio-') && !keep.includes(name))
+        .map(name => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Check whether a URL is a single blog post endpoint (/v1/blogs/:slug)
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isBlogPostRequest(url) {
+  return /^\/v1\/blogs\/[^/]+\/?$/.test(url.pathname);
+}
+
+/**
+ * Shell page behind a clean URL on this site (/blog/<slug>, /projects/<slug>)
+ * @param {URL} url - Request URL
+ * @returns {string|null} - blog.html or project.html, or null for other URLs
+ */
+function getRouteShell(url) {
+  const root = new URL(self.registration.scope).pathname;
+  if (url.origin !== self.location.origin || !url.pathname.startsWith(root)) return null;
+  
+  const match = url.pathname.slice(root.length).match(/^(blog|projects)\/[^/]+\/?$/);
+  if (!match) return null;
+  return match[1] === 'blog' ? 'blog.html' : 'project.html';
+}
+
+/**
+ * Check whether a URL is a cacheable API endpoint
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isApiRequest(url) {
+  return url.origin === API_ORIGIN &&
+    (url.pathname.startsWith('/v1/blogs') || url.pathname.startsWith('/v1/projects'));
+}
+
+/**
+ * Copy a cached response and mark it as a fallback served by the worker
+ * @param {Response} cached - Response from Cache Storage
+ * @returns {Promise<Response>}
+ */
+async function markAsFallback(cached) {
+  const headers = new Headers(cached.headers);
+  headers.set(SW_FALLBACK_HEADER, 'fallback');
+  
+  return new Response(await cached.blob(), {
+    status: cached.status,
+    statusText: cached.statusText,
+    headers,
+  });
+}
+
+/**
+ * Network-first strategy for API requests
+ * Successful responses are stored; failures fall back to the stored copy
+ * @param {Request} request - API request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const url = new URL(request.url);
+  const cache = await caches.open(isBlogPostRequest(url) ? POSTS_CACHE : API_CACHE);
+  
+  try {
+    const response = await fetch(request);
+    
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      return response;
+    }
+    
+    // Server errors (e.g. a failed cold start) fall back like network errors
+    if (response.status < 500) {
+      return response;
+    }
+    
+    const cached = await cache.match(request);
+    return cached ? markAsFallback(cached) : response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) {
+      return markAsFallback(cached);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stale-while-revalidate strategy for same-origin and CDN files
+ * Serves the cached copy at once and refreshes it in the background, so a
+ * deploy reaches returning visitors on their next page load. Precached shell
+ * files are not refreshed one by one - that would mix scripts of two builds;
+ * the next build's worker replaces them together.
+ * Page requests ignore the query string so blog.html?route=... hits the shell.
+ * @param {Request} request - Same-origin or CDN request
+ * @param {FetchEvent} event - Fetch event kept alive for the refresh
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const isPage = request.mode === 'navigate';
+  const cached = await cache.match(request, { ignoreSearch: isPage });
+  
+  // Store pages under their bare path so each ?route= does not add an entry
+  const url = new URL(request.url);
+  const cacheKey = isPage ? url.origin + url.pathname : request;
+  
+  if (cached && PRECACHED_URLS.has(isPage ? cacheKey : request.url)) {
+    return cached;
+  }
+  
+  const refresh = fetch(request).then(async response => {
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  });
+  
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+/**
+ * Open a clean post or project URL
+ * Prerendered pages are cached like any page. Offline, one that was never
+ * opened goes to its shell page - the way 404.html sends it there online -
+ * which can still show a post the reader saved.
+ * @param {Request} request - Navigation to /blog/<slug> or /projects/<slug>
+ * @param {FetchEvent} event - Fetch event kept alive for the refresh
+ * @param {string} page - Shell page from getRouteShell
+ * @returns {Promise<Response>}
+ */
+async function openCleanRoute(request, event, page) {
+  try {
+    return await staleWhileRevalidate(request, event);
+  } catch {
+    const url = new URL(request.url);
+    const shell = new URL(page, self.registration.scope);
+    shell.searchParams.set('route', url.pathname + url.search);
+    return Response.redirect(shell.href, 302);
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  const shell = request.mode === 'navigate' ? getRouteShell(url) : null;
+  
+  // Local API fixtures (development only) should always be read fresh
+  if (url.pathname.includes('/fixtures/')) return;
+  
+  // The warm-up ping (see warmUpAPI in api.js) must reach the server, not a stored copy
+  if (url.origin === API_ORIGIN && request.mode === 'no-cors') return;
+  
+  if (isApiRequest(url)) {
+    event.respondWith(networkFirst(request));
+  } else if (shell) {
+    event.respondWith(openCleanRoute(request, event, shell));
+  } else if (url.origin === self.location.origin || CDN_ASSETS.includes(request.url)) {
+    event.respondWith(staleWhileRevalidate(request, event));
+  }
+});